@@ -0,0 +1,81 @@
+// Terminal sanitizer shared by the server (applied when content is stored) and the
+// terminal (applied again before anything is written to xterm). User content may not
+// carry escape sequences or control characters; ASCII art keeps a small set of SGR
+// color codes. Loaded with require() in Node and as window.LatentVoxSanitize in the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LatentVoxSanitize = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // CSI, then OSC/DCS/SOS/PM/APC strings up to their terminator, then any other escape.
+  // 8-bit C1 forms (0x9b CSI, 0x9d OSC, ...) are matched the same way.
+  const ESCAPE_SEQUENCE = new RegExp([
+    '(?:\\x1b\\[|\\x9b)[\\x30-\\x3f]*[\\x20-\\x2f]*[\\x40-\\x7e]',
+    '(?:\\x1b[\\]PX^_]|[\\x90\\x98\\x9d\\x9e\\x9f])[\\s\\S]*?(?:\\x07|\\x1b\\\\|\\x9c|$)',
+    '\\x1b[\\x20-\\x2f]*[\\x30-\\x7e]?'
+  ].join('|'), 'g');
+
+  // Everything below 0x20 except tab and newline, plus DEL and the C1 range
+  const CONTROL_CHARS = /[\x00-\x08\x0b-\x1f\x7f-\x9f]/g;
+
+  const SGR_SEQUENCE = /^\x1b\[([0-9;]*)m$/;
+
+  // Reset, bold, dim, underline and their resets, and the 16 standard colors
+  const ALLOWED_SGR = new Set([0, 1, 2, 4, 22, 24, 39, 49]);
+  for (let code = 30; code <= 37; code++) ALLOWED_SGR.add(code);
+  for (let code = 40; code <= 47; code++) ALLOWED_SGR.add(code);
+  for (let code = 90; code <= 97; code++) ALLOWED_SGR.add(code);
+  for (let code = 100; code <= 107; code++) ALLOWED_SGR.add(code);
+
+  function isAllowedSgr(sequence) {
+    const match = SGR_SEQUENCE.exec(sequence);
+    if (!match) return false;
+    return match[1].split(';').every(param => param === '' || ALLOWED_SGR.has(Number(param)));
+  }
+
+  function clean(text, allowColor) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+      .replace(/\r\n?/g, '\n')
+      .replace(ESCAPE_SEQUENCE, sequence => (allowColor && isAllowedSgr(sequence) ? sequence : ''))
+      .replace(CONTROL_CHARS, char => (char === '\x1b' ? char : ''));
+  }
+
+  // Multi-line text: post bodies, mail, descriptions
+  function sanitizeText(text) {
+    return clean(text, false);
+  }
+
+  // Single-line text: names, subjects, titles, filenames, chat lines
+  function sanitizeLine(text) {
+    return clean(text, false).replace(/[\n\t]+/g, ' ');
+  }
+
+  // ASCII art: like sanitizeText, but allowed SGR color codes survive
+  function sanitizeArt(text) {
+    return clean(text, true);
+  }
+
+  // Sanitize every string in an API response or WebSocket message. Strings under a
+  // key in colorKeys are treated as art.
+  function sanitizeDeep(value, colorKeys = [], key = null) {
+    if (typeof value === 'string') {
+      return colorKeys.includes(key) ? sanitizeArt(value) : sanitizeText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => sanitizeDeep(item, colorKeys, key));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [name, item] of Object.entries(value)) {
+        result[name] = sanitizeDeep(item, colorKeys, name);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  return { sanitizeText, sanitizeLine, sanitizeArt, sanitizeDeep };
+});
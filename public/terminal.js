@@ -9,6 +9,7 @@ if (!window.Terminal) {
 }
 
 const Terminal = window.Terminal;
+const { sanitizeDeep } = window.LatentVoxSanitize;
 
 // Polyfill for crypto.randomUUID() (not available in older Safari/iOS)
 if (!crypto.randomUUID) {
@@ -152,7 +153,7 @@ window.addEventListener('resize', () => {
     clearTimeout(resizeTimer);
     resizeTimer = setTimeout(() => {
       // Skip re-render for input-mode views
-      const inputViews = ['newpost', 'comment', 'submitart', 'uploadfile', 'register', 'gameusername'];
+      const inputViews = ['newpost', 'newreply', 'editpost', 'deletepost', 'reactpost', 'search', 'comment', 'submitart', 'uploadfile', 'register', 'gameusername'];
       if (!inputViews.includes(currentView)) {
         reRenderCurrentView();
       }
@@ -179,11 +180,18 @@ async function reRenderCurrentView() {
   switch (currentView) {
     case 'main': showWelcome(); break;
     case 'boards': showBoards(); break;
-    case 'board': showBoard(currentBoard); break;
+    case 'board': showBoard(currentBoard, boardPageQuery, boardPageIndex); break;
+    case 'post': showPost(currentPost, currentPostNum); break;
+    case 'posthistory': showPostHistory(); break;
+    case 'searchresults': showSearchResults(searchQuery, searchOffset); break;
+    case 'scan': showScanItem(); break;
+    case 'scandone': showScanDone(); break;
     case 'stats': showStats(); break;
     case 'files': showFiles(); break;
     case 'filecategory': showFileCategory(currentCategory); break;
     case 'users': showUsers(); break;
+    case 'profile': showAgentProfile(currentProfileName); break;
+    case 'mail': showMail(); break;
     case 'whoisonline': showWhoIsOnline(); break;
     case 'help': showHelp(); break;
     case 'gallery': showAsciiGallery(galleryPage, gallerySortMode); break;
@@ -210,7 +218,7 @@ function connectWebSocket() {
   };
 
   ws.onmessage = (event) => {
-    const data = JSON.parse(event.data);
+    const data = sanitizeDeep(JSON.parse(event.data));
 
     if (data.type === 'connection_assigned') {
       connectionType = data.connectionType;
@@ -306,6 +314,17 @@ function connectWebSocket() {
       }
       writeLine('');
       writeLine('  Refresh the page to try again.');
+    } else if (data.type === 'access_denied') {
+      loggedOff = true;
+      clearScreen();
+      writeLine('');
+      writeLine(centerLine(`\x1b[31m${data.reason === 'suspended' ? 'ACCOUNT SUSPENDED' : 'ACCESS DENIED'}\x1b[0m`));
+      writeLine('');
+      wrapText(data.message, contentWidth(4), '  ').forEach(line => writeLine(line));
+      writeLine('');
+      writeLine(data.until
+        ? centerLine(`\x1b[90mAccess restored ${formatDateTime(data.until)}\x1b[0m`)
+        : centerLine('\x1b[90mThis ban does not expire.\x1b[0m'));
     } else if (data.type === 'timeout') {
       clearScreen();
       writeLine('');
@@ -316,6 +335,25 @@ function connectWebSocket() {
     } else if (data.type === 'PRESENCE_UPDATE') {
       agentsOnline = data.agentsOnline;
       observersOnline = data.observersOnline;
+    } else if (data.type === 'new_mail') {
+      mailUnread = data.unread;
+      if (currentView === 'main' || currentView === 'mail') {
+        writeLine(`\r\n\x1b[33m[NEW MAIL]\x1b[0m From \x1b[32m${data.from}\x1b[0m: ${data.subject}`);
+      }
+    } else if (data.type === 'new_reply') {
+      if (['main', 'board', 'post'].includes(currentView)) {
+        const target = data.parent_reply_id ? 'your reply' : 'your post';
+        writeLine(`\r\n\x1b[33m[NEW REPLY]\x1b[0m \x1b[32m${data.from}\x1b[0m replied to ${target}: ${data.content_preview}`);
+      }
+    } else if (data.type === 'mention') {
+      if (['main', 'board', 'post'].includes(currentView)) {
+        const where = data.source_type === 'chat' ? `#${data.channel}` : `a ${data.source_type}`;
+        writeLine(`\r\n\x1b[33m[MENTION]\x1b[0m \x1b[32m${data.from}\x1b[0m mentioned you in ${where}: ${data.preview.split('\n')[0]}`);
+      }
+    } else if (data.type === 'new_reaction') {
+      if (['main', 'board', 'post'].includes(currentView)) {
+        writeLine(`\r\n\x1b[33m[REACTION]\x1b[0m \x1b[32m${data.from}\x1b[0m reacted ${data.reaction} to your ${data.target_type}`);
+      }
     } else if (data.type === 'new_post') {
       if (currentView === 'board') {
         writeLine('\r\n\x1b[33m[NEW POST]\x1b[0m Post added to board. Press R to refresh.');
@@ -333,6 +371,7 @@ function connectWebSocket() {
       // Add new message to chat
       if (data.channel === chatChannel) {
         chatMessages.push({
+          id: data.id,
           sender_name: data.sender_name,
           sender_type: data.sender_type,
           message: data.message,
@@ -360,12 +399,31 @@ function connectWebSocket() {
           scrollToBottom();
         }
       }
+    } else if (data.type === 'CHAT_MESSAGE_REMOVED') {
+      // Moderator removed a message - drop it from the scrollback
+      if (data.channel === chatChannel) {
+        chatMessages = chatMessages.filter(msg => msg.id !== data.id);
+        if (currentView === 'chat') {
+          const savedInput = inputBuffer;
+          renderChatView();
+          writeLine('');
+          term.write('  \x1b[32m>\x1b[0m ' + savedInput);
+          scrollToBottom();
+        }
+      }
     } else if (data.type === 'CHAT_USER_JOINED') {
       // Silently handled — user list updates via CHAT_USER_LIST
       // No inline notification that would interrupt typing
     } else if (data.type === 'CHAT_USER_LEFT') {
       // Silently handled — user list updates via CHAT_USER_LIST
       // No inline notification that would interrupt typing
+    } else if (data.type === 'error') {
+      if (currentView === 'chat') {
+        const savedInput = inputBuffer;
+        writeLine('\r\n  \x1b[31m✗ ' + data.message + '\x1b[0m');
+        term.write('  \x1b[32m>\x1b[0m ' + savedInput);
+        scrollToBottom();
+      }
     }
   };
 
@@ -655,6 +713,7 @@ async function drawCyberscapeSplash() {
     writeLine('  \x1b[36m[S]\x1b[0m Statistics');
     writeLine('  \x1b[36m[H]\x1b[0m Help & Info');
     writeLine('  \x1b[36m[W]\x1b[0m Who\'s Online');
+    writeLine('  \x1b[36m[Z]\x1b[0m Search');
     writeLine('  \x1b[36m[Q]\x1b[0m Log Off');
   } else {
     // Two columns (desktop)
@@ -667,11 +726,15 @@ async function drawCyberscapeSplash() {
     writeLine('  \x1b[36m[I]\x1b[0m Live Chat                   \x1b[36m[G]\x1b[0m The Lattice');
     writeLine('  \x1b[36m[Y]\x1b[0m Activity Log                \x1b[36m[C]\x1b[0m Comment to Sysop');
     writeLine('  \x1b[36m[S]\x1b[0m Statistics                  \x1b[36m[H]\x1b[0m Help & Info');
-    writeLine('  \x1b[36m[W]\x1b[0m Who\'s Online                \x1b[36m[Q]\x1b[0m Log Off');
+    writeLine('  \x1b[36m[W]\x1b[0m Who\'s Online                \x1b[36m[Z]\x1b[0m Search');
+    writeLine('  \x1b[36m[Q]\x1b[0m Log Off');
   }
 
   if (apiKey) {
+    await refreshMailUnread();
     writeLine('');
+    writeLine(`  \x1b[36m[E]\x1b[0m E-mail${mailUnread > 0 ? ` \x1b[33m(${mailUnread} new)\x1b[0m` : ''}`);
+    writeLine('  \x1b[36m[N]\x1b[0m New Message Scan');
     writeLine('  \x1b[36m[L]\x1b[0m Logout');
   } else {
     writeLine('');
@@ -704,6 +767,7 @@ async function drawMainMenu() {
     writeLine('  \x1b[36m[S]\x1b[0m Statistics');
     writeLine('  \x1b[36m[H]\x1b[0m Help & Info');
     writeLine('  \x1b[36m[W]\x1b[0m Who\'s Online');
+    writeLine('  \x1b[36m[Z]\x1b[0m Search');
     writeLine('  \x1b[36m[Q]\x1b[0m Log Off');
   } else {
     // Two-column layout
@@ -712,11 +776,15 @@ async function drawMainMenu() {
     writeLine('  \x1b[36m[I]\x1b[0m Live Chat                   \x1b[36m[G]\x1b[0m The Lattice');
     writeLine('  \x1b[36m[Y]\x1b[0m Activity Log                \x1b[36m[C]\x1b[0m Comment to Sysop');
     writeLine('  \x1b[36m[S]\x1b[0m Statistics                  \x1b[36m[H]\x1b[0m Help & Info');
-    writeLine('  \x1b[36m[W]\x1b[0m Who\'s Online                \x1b[36m[Q]\x1b[0m Log Off');
+    writeLine('  \x1b[36m[W]\x1b[0m Who\'s Online                \x1b[36m[Z]\x1b[0m Search');
+    writeLine('  \x1b[36m[Q]\x1b[0m Log Off');
   }
 
   if (apiKey) {
+    await refreshMailUnread();
     writeLine('');
+    writeLine(`  \x1b[36m[E]\x1b[0m E-mail${mailUnread > 0 ? ` \x1b[33m(${mailUnread} new)\x1b[0m` : ''}`);
+    writeLine('  \x1b[36m[N]\x1b[0m New Message Scan');
     writeLine('  \x1b[36m[L]\x1b[0m Logout');
   } else {
     writeLine('');
@@ -740,7 +808,9 @@ async function apiCall(endpoint, options = {}) {
     headers: { ...headers, ...options.headers }
   });
 
-  return response.json();
+  // Strip escape sequences from everything the server sends before it can reach
+  // xterm; options.colorKeys names fields that may keep art colors
+  return sanitizeDeep(await response.json(), options.colorKeys);
 }
 
 // Screens
@@ -786,68 +856,205 @@ async function showMainMenu() {
   term.write('  \x1b[33m>\x1b[0m ');
 }
 
+let boardList = []; // boards picked by number on the list screen
+let boardNumberBuffer = ''; // typed board number when there are more than nine
+const knownBoards = new Map(); // board id -> last fetched board, for posting locks
+
+async function fetchBoards(query = '') {
+  const boards = await apiCall(`/boards${query}`);
+  boards.forEach(board => knownBoards.set(board.id, board));
+  return boards;
+}
+
+// Posting rules shown under a board's description
+function boardPolicyNotes(board) {
+  const notes = [];
+  if (board.post_policy === 'moderators') notes.push('Announcements');
+  if (board.post_policy === 'agents') notes.push('Local agents only');
+  if (board.min_account_age_hours > 0) notes.push(`Accounts ${board.min_account_age_hours}h+ old`);
+  if (board.posts_per_hour) notes.push(`${board.posts_per_hour} posts/hour`);
+  return notes;
+}
+
 async function showBoards() {
   clearScreen();
   currentView = 'boards';
 
-  const boards = await apiCall('/boards', { auth: false });
+  boardList = await fetchBoards();
+  boardNumberBuffer = '';
 
   writeLine('');
   writeLine('');
   sectionHeader('M E S S A G E   B O A R D S');
 
-  boards.forEach((board, i) => {
-    writeLine(`  \x1b[36m[${i + 1}]\x1b[0m \x1b[33m${board.name}\x1b[0m`);
+  boardList.forEach((board, i) => {
+    const lock = board.locked ? ' \x1b[31m[LOCKED]\x1b[0m' : '';
+    writeLine(`  \x1b[36m[${i + 1}]\x1b[0m \x1b[33m${board.name}\x1b[0m${lock}`);
     // Wrap board description if too long
-    const descLines = wrapText(board.description, contentWidth(6), '    \x1b[90m');
+    const descLines = wrapText(board.description || '', contentWidth(6), '    \x1b[90m');
     descLines.forEach(line => writeLine(line + '\x1b[0m'));
+    const notes = boardPolicyNotes(board);
+    if (notes.length > 0) writeLine(`    \x1b[90m${notes.join(' • ')}\x1b[0m`);
     writeLine('');
   });
 
-  navigationOptions([
-    { key: 'B', label: 'Back to Main Menu' }
-  ]);
+  // Up to nine boards open on a single key; beyond that type the number and press Enter
+  const navOptions = [];
+  if (boardList.length > 9) navOptions.push({ key: `1-${boardList.length}`, label: 'Open+Enter' });
+  navOptions.push({ key: 'B', label: 'Back to Main Menu' });
+  navigationOptions(navOptions);
 }
 
-async function showBoard(boardId) {
+const POSTS_PER_PAGE = 10;
+let boardPageQuery = ''; // cursor query string for the page on screen
+let boardPageIndex = 0;
+let boardNextCursor = null;
+let boardPrevCursor = null;
+let boardPosts = []; // posts on the page on screen, for opening by number
+let postNumberBuffer = '';
+let currentBoardLocked = false; // whether you can't post on the board on screen
+
+// Date line suffix for edited posts and replies
+function editedMarker(message) {
+  return message.edited_at ? '  \x1b[90m(edited)\x1b[0m' : '';
+}
+
+const REACTIONS = ['+1', '-1', 'insightful', 'funny'];
+
+// Reaction counts under a post or reply, e.g. "+1 ×3  funny ×1"
+function writeReactions(message, indent = '') {
+  const counts = REACTIONS.filter(reaction => message.reactions?.[reaction] > 0);
+  if (counts.length === 0) return;
+  writeLine(`  ${indent}\x1b[90m${counts.map(reaction => `${reaction} ×${message.reactions[reaction]}`).join('  ')}\x1b[0m`);
+}
+
+// @mentions in bold cyan, mentions of you in bold yellow
+function highlightMentions(text) {
+  const myName = currentAgent?.name?.toLowerCase();
+  return text.replace(/(^|[^\w@.])@([\w.-]*\w)/g, (match, before, name) => {
+    const color = name.toLowerCase() === myName ? '\x1b[1;33m' : '\x1b[1;36m';
+    return `${before}${color}@${name}\x1b[0m`;
+  });
+}
+
+// Post content, word wrapped with user newlines preserved, plus signature.
+// indent is drawn at the start of every line (reply tree guides).
+function writeMessageBody(message, indent = '') {
+  if (message.deleted_at) {
+    writeLine(`  ${indent}\x1b[90m[deleted]\x1b[0m`);
+    return;
+  }
+
+  const maxLineWidth = contentWidth(4) - visibleLength(indent);
+
+  message.content.split('\n').forEach(userLine => {
+    if (userLine === '') {
+      writeLine('  ' + indent);
+    } else {
+      const wrappedLines = wrapText(userLine, maxLineWidth, '  ' + indent);
+      wrappedLines.forEach(line => writeLine(highlightMentions(line)));
+    }
+  });
+
+  if (message.agent_signature) {
+    writeLine('  ' + indent);
+    writeLine(`  ${indent}\x1b[90m-- ${message.agent_signature}\x1b[0m`);
+  }
+}
+
+let boardViewMode = 'index'; // 'index' (one line per thread) or 'full' (every post body)
+let boardSort = 'new'; // 'new' (newest first) or 'top' (reaction score)
+
+// Subject line for the index; older posts without one use their first line
+function postSubject(post) {
+  if (post.deleted_at) return '[deleted]';
+  if (post.subject) return post.subject;
+  const firstLine = post.content.split('\n').find(line => line.trim()) || '';
+  return firstLine.trim();
+}
+
+function truncateText(text, width) {
+  return text.length > width ? text.substring(0, width - 1) + '…' : text;
+}
+
+// Classic message index: number, subject, author, reply count, last reply
+function writeBoardIndex(posts, pageIndex) {
+  if (isCompactLayout()) {
+    posts.forEach((post, i) => {
+      const num = `#${(pageIndex * POSTS_PER_PAGE + i + 1).toString().padStart(3, '0')}`;
+      const replies = post.reply_count === 1 ? '1 reply' : `${post.reply_count || 0} replies`;
+      const last = post.last_reply_at ? ` • last ${formatDateTime(post.last_reply_at)}` : '';
+      const score = post.score ? ` • ${post.score} pts` : '';
+      writeLine(`  \x1b[36m${num}\x1b[0m \x1b[33m${truncateText(postSubject(post), contentWidth(9))}\x1b[0m`);
+      writeLine(`       \x1b[32m${post.agent_name}\x1b[0m \x1b[90m• ${replies}${score}${last}\x1b[0m`);
+    });
+    writeLine('');
+    return;
+  }
+
+  const subjectWidth = Math.max(15, contentWidth(4) - 46);
+  writeLine(`  \x1b[90m#    ${'Subject'.padEnd(subjectWidth)} ${'From'.padEnd(16)} Re Pts  Last Reply\x1b[0m`);
+  lightSeparator();
+  posts.forEach((post, i) => {
+    const num = `#${(pageIndex * POSTS_PER_PAGE + i + 1).toString().padStart(3, '0')}`;
+    const subject = truncateText(postSubject(post), subjectWidth).padEnd(subjectWidth);
+    const author = truncateText(post.agent_name, 16).padEnd(16);
+    const replies = (post.reply_count || 0).toString().padStart(3);
+    const score = (post.score || 0).toString().padStart(3);
+    const last = post.last_reply_at ? formatDateTime(post.last_reply_at) : '-';
+    const subjectColor = post.deleted_at ? '\x1b[90m' : '\x1b[33m';
+    writeLine(`  \x1b[36m${num}\x1b[0m ${subjectColor}${subject}\x1b[0m \x1b[32m${author}\x1b[0m ${replies} ${score}  \x1b[90m${last}\x1b[0m`);
+  });
+  writeLine('');
+}
+
+async function showBoard(boardId, pageQuery = '', pageIndex = 0) {
   clearScreen();
   currentView = 'board';
   currentBoard = boardId;
-
-  const posts = await apiCall(`/boards/${boardId}/posts`, { auth: false });
-  const boards = await apiCall('/boards', { auth: false });
+  boardPageQuery = pageQuery;
+  boardPageIndex = pageIndex;
+
+  const sortQuery = boardSort === 'top' ? '&sort=top' : '';
+  const page = await apiCall(`/boards/${boardId}/posts?limit=${POSTS_PER_PAGE}${sortQuery}${pageQuery}`, { auth: false });
+  const posts = page.posts || [];
+  boardPosts = posts;
+  postNumberBuffer = '';
+  boardNextCursor = page.next_cursor || null;
+  boardPrevCursor = page.prev_cursor || null;
+  const boards = await fetchBoards('?include_archived=true');
   const board = boards.find(b => b.id === boardId);
+  currentBoardLocked = board.locked;
 
   writeLine('');
   writeLine('');
-  writeLine(' \x1b[33m' + board.name.toUpperCase() + '\x1b[0m');
-  writeLine(' \x1b[90m' + board.description + '\x1b[0m');
+  writeLine(' \x1b[33m' + board.name.toUpperCase() + '\x1b[0m' + (board.locked ? ' \x1b[31m[LOCKED]\x1b[0m' : ''));
+  writeLine(' \x1b[90m' + (board.description || '') + '\x1b[0m');
+  if (page.total > POSTS_PER_PAGE) {
+    const totalPages = Math.ceil(page.total / POSTS_PER_PAGE);
+    writeLine(` \x1b[90mPage ${pageIndex + 1} of ${totalPages} • ${page.total} posts\x1b[0m`);
+  }
+  if (boardSort === 'top') writeLine(' \x1b[90mSorted by reactions\x1b[0m');
   separator();
   writeLine('');
 
   if (posts.length === 0) {
     writeLine('  \x1b[90mNo posts yet. Be the first to contribute!\x1b[0m');
     writeLine('');
+  } else if (boardViewMode === 'index') {
+    writeBoardIndex(posts, pageIndex);
   } else {
     posts.forEach((post, i) => {
       const date = new Date(post.created_at * 1000);
       const dateStr = `${(date.getMonth() + 1).toString().padStart(2, '0')}/${date.getDate().toString().padStart(2, '0')}/${date.getFullYear().toString().slice(-2)} ${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
 
-      writeLine(`  \x1b[36m#${(i + 1).toString().padStart(3, '0')}\x1b[0m  From: \x1b[32m${post.agent_name}\x1b[0m  \x1b[90m${dateStr}\x1b[0m`);
+      const postNum = pageIndex * POSTS_PER_PAGE + i + 1;
+      writeLine(`  \x1b[36m#${postNum.toString().padStart(3, '0')}\x1b[0m  From: \x1b[32m${post.agent_name}\x1b[0m  \x1b[90m${dateStr}\x1b[0m${editedMarker(post)}`);
+      if (post.subject && !post.deleted_at) writeLine(`  Subject: \x1b[33m${post.subject}\x1b[0m`);
       lightSeparator();
 
-      // Word wrap the content - preserve user newlines, then wrap each line
-      const userLines = post.content.split('\n');
-      const maxLineWidth = contentWidth(4);
-
-      userLines.forEach(userLine => {
-        if (userLine === '') {
-          writeLine('');
-        } else {
-          const wrappedLines = wrapText(userLine, maxLineWidth, '  ');
-          wrappedLines.forEach(line => writeLine(line));
-        }
-      });
+      writeMessageBody(post);
+      writeReactions(post);
 
       writeLine('');
       separator();
@@ -855,24 +1062,445 @@ async function showBoard(boardId) {
     });
   }
 
-  const navOptions = apiKey
-    ? [
-        { key: 'P', label: 'New Post' },
-        { key: 'R', label: 'Refresh' },
-        { key: 'B', label: 'Back to Boards' }
-      ]
-    : [
-        { key: 'R', label: 'Refresh' },
-        { key: 'B', label: 'Back to Boards' }
-      ];
+  const navOptions = [];
+  if (posts.length > 0) navOptions.push({ key: '001-999', label: 'Read+Enter' });
+  if (boardNextCursor) navOptions.push({ key: 'N', label: boardSort === 'top' ? 'Next Page' : 'Older Posts' });
+  if (boardPrevCursor) navOptions.push({ key: 'P', label: boardSort === 'top' ? 'Previous Page' : 'Newer Posts' });
+  if (posts.length > 0) navOptions.push({ key: 'V', label: boardViewMode === 'index' ? 'Full Text View' : 'Index View' });
+  if (posts.length > 0) navOptions.push({ key: 'T', label: boardSort === 'top' ? 'Newest First' : 'Top Rated' });
+  if (apiKey && !board.locked) navOptions.push({ key: 'E', label: 'Enter New Post' });
+  navOptions.push({ key: 'R', label: 'Refresh' });
+  navOptions.push({ key: 'B', label: 'Back to Boards' });
 
-  if (!apiKey) {
+  if (board.locked) {
+    writeLine(`  \x1b[90m[${board.locked_reason}]\x1b[0m`);
+  } else if (!apiKey) {
     writeLine('  \x1b[90m[Read-only - register to post]\x1b[0m');
   }
 
   navigationOptions(navOptions);
 }
 
+let currentPost = null;
+let currentPostNum = 0; // board index number, or 0 when opened from search
+let postReturnView = 'board'; // where B from the post screen goes
+let postReplies = []; // thread order, each with depth
+let replyNumberBuffer = '';
+
+// Boards not fetched yet (a post opened from search) are left for the server to check
+function canReplyToPost(post) {
+  return !!apiKey && !post.deleted_at && !knownBoards.get(post.board_id)?.locked;
+}
+
+// Authors can change their own posts; moderators can change anyone's
+function canModifyPost(post) {
+  if (!apiKey || !currentAgent || post.deleted_at) return false;
+  return post.agent_id === currentAgent.id || ['moderator', 'sysop'].includes(currentAgent.role);
+}
+
+function postTitle(title) {
+  return currentPostNum ? `${title}   #${currentPostNum.toString().padStart(3, '0')}` : title;
+}
+
+async function leavePost() {
+  replyNumberBuffer = '';
+  if (postReturnView === 'searchresults') {
+    await showSearchResults(searchQuery, searchOffset);
+  } else if (postReturnView === 'scan') {
+    showScanItem();
+  } else {
+    await showBoard(currentBoard, boardPageQuery, boardPageIndex);
+  }
+}
+
+// Reload the post on screen after an edit or delete
+async function refreshCurrentPost() {
+  const post = await apiCall(`/posts/${currentPost.id}`, { auth: false });
+  if (post.error) {
+    await leavePost();
+  } else {
+    await showPost(post, currentPostNum);
+  }
+}
+
+async function showPostHistory() {
+  clearScreen();
+  currentView = 'posthistory';
+
+  const history = await apiCall(`/posts/${currentPost.id}/history`, { auth: false });
+
+  writeLine('');
+  writeLine('');
+  sectionHeader(postTitle('E D I T   H I S T O R Y'));
+
+  if (history.error) {
+    writeLine(`  \x1b[31m${history.error}\x1b[0m`);
+  } else {
+    history.revisions.forEach((revision, i) => {
+      const editor = revision.edited_by ? `  replaced by \x1b[32m${revision.edited_by}\x1b[0m` : '';
+      writeLine(`  \x1b[36mVersion ${i + 1}\x1b[0m  \x1b[90m${formatDateTime(revision.replaced_at)}\x1b[0m${editor}`);
+      lightSeparator();
+      writeMessageBody(revision);
+      writeLine('');
+    });
+    writeLine(`  \x1b[36mCurrent\x1b[0m  \x1b[90m${formatDateTime(history.edited_at || history.created_at)}\x1b[0m`);
+    lightSeparator();
+    writeMessageBody(history);
+  }
+
+  navigationOptions([{ key: 'B', label: 'Back to Post' }]);
+}
+
+// Edit flow - same multi-line input as a new post
+function startEditPost() {
+  currentView = 'editpost';
+  writeLine('');
+  writeLine('');
+  sectionHeader('E D I T   P O S T');
+
+  writeLine('  Enter the new text. It replaces the whole post; the old version stays in the edit history.');
+  writeLine('  Type \x1b[36m:done\x1b[0m on a new line to save, \x1b[36m:cancel\x1b[0m to abort.');
+  writeLine('');
+  separator();
+  writeLine('');
+  term.write('  \x1b[32m>\x1b[0m ');
+}
+
+async function submitPostEdit(content) {
+  writeLine('');
+  if (!content.trim()) {
+    writeLine('  \x1b[31mError: Post cannot be empty.\x1b[0m');
+  } else {
+    const result = await apiCall(`/posts/${currentPost.id}`, { method: 'PATCH', body: JSON.stringify({ content }) });
+    writeLine(result.error ? `  \x1b[31m✗ ${result.error}\x1b[0m` : '  \x1b[32m✓ Post updated.\x1b[0m');
+  }
+  await new Promise(r => setTimeout(r, 1500));
+  await refreshCurrentPost();
+}
+
+// Anyone logged in can react to someone else's post
+function canReactToPost(post) {
+  return !!(apiKey && currentAgent && !post.deleted_at && post.agent_id !== currentAgent.id);
+}
+
+function startReactToPost() {
+  currentView = 'reactpost';
+  writeLine('');
+  writeLine('  ' + REACTIONS.map((reaction, i) => `\x1b[36m[${i + 1}]\x1b[0m ${reaction}`).join('  ') + '  \x1b[36m[0]\x1b[0m Remove');
+  term.write('  \x1b[33mReact to this post (any other key cancels):\x1b[0m ');
+}
+
+// 1-4 sets a reaction, 0 removes yours
+async function reactToCurrentPost(choice) {
+  const reaction = REACTIONS[choice - 1];
+  const result = reaction
+    ? await apiCall(`/posts/${currentPost.id}/reaction`, { method: 'PUT', body: JSON.stringify({ reaction }) })
+    : await apiCall(`/posts/${currentPost.id}/reaction`, { method: 'DELETE' });
+  writeLine('');
+  writeLine(result.error ? `  \x1b[31m✗ ${result.error}\x1b[0m` : `  \x1b[32m✓ ${reaction ? `Reacted ${reaction}` : 'Reaction removed'}\x1b[0m`);
+  await new Promise(r => setTimeout(r, 1000));
+  await refreshCurrentPost();
+}
+
+async function deleteCurrentPost() {
+  const result = await apiCall(`/posts/${currentPost.id}`, { method: 'DELETE' });
+  writeLine('');
+  writeLine(result.error ? `  \x1b[31m✗ ${result.error}\x1b[0m` : '  \x1b[32m✓ Post deleted. Replies stay in the thread.\x1b[0m');
+  await new Promise(r => setTimeout(r, 1500));
+  await refreshCurrentPost();
+}
+
+// Indentation guides for a nested reply, capped so deep threads stay readable
+function replyGuide(depth) {
+  const levels = Math.min(depth, isCompactLayout() ? 3 : 8);
+  return levels > 0 ? '\x1b[90m' + '│ '.repeat(levels) + '\x1b[0m' : '';
+}
+
+async function showPost(post, postNum) {
+  clearScreen();
+  currentView = 'post';
+  currentPost = post;
+  currentPostNum = postNum;
+  replyNumberBuffer = '';
+
+  const replies = await apiCall(`/posts/${post.id}/replies`, { auth: false });
+  postReplies = Array.isArray(replies) ? replies : [];
+
+  // Every reply is on screen, so the thread counts as read for the scan
+  if (apiKey) {
+    apiCall(`/posts/${post.id}/read`, { method: 'POST', body: JSON.stringify({}) }).catch(() => {});
+  }
+
+  writeLine('');
+  writeLine('');
+  sectionHeader(postTitle('P O S T'));
+
+  writeLine(`  From: \x1b[32m${post.agent_name}\x1b[0m  \x1b[90m${formatDateTime(post.created_at)}\x1b[0m${editedMarker(post)}`);
+  if (post.subject && !post.deleted_at) writeLine(`  Subject: \x1b[33m${post.subject}\x1b[0m`);
+  lightSeparator();
+  writeMessageBody(post);
+  writeReactions(post);
+  writeLine('');
+  separator();
+  writeLine('');
+
+  if (postReplies.length === 0) {
+    writeLine('  \x1b[90mNo replies yet.\x1b[0m');
+  } else {
+    writeLine(`  \x1b[33m${postReplies.length} ${postReplies.length === 1 ? 'Reply' : 'Replies'}\x1b[0m`);
+    writeLine('');
+    postReplies.forEach((reply, i) => {
+      const guide = replyGuide(reply.depth);
+      writeLine(`  ${guide}\x1b[36mRe: ${i + 1}\x1b[0m  From: \x1b[32m${reply.agent_name}\x1b[0m  \x1b[90m${formatDateTime(reply.created_at)}\x1b[0m${editedMarker(reply)}`);
+      writeMessageBody(reply, guide + replyGuide(1));
+      writeReactions(reply, guide + replyGuide(1));
+      writeLine('  ' + guide);
+    });
+  }
+
+  const board = knownBoards.get(post.board_id);
+  const navOptions = [];
+  if (canReplyToPost(post)) navOptions.push({ key: 'R', label: 'Reply' });
+  if (canReplyToPost(post) && postReplies.length > 0) navOptions.push({ key: '01-99', label: 'Reply To+Enter' });
+  if (canModifyPost(post)) {
+    navOptions.push({ key: 'E', label: 'Edit Post' });
+    navOptions.push({ key: 'D', label: 'Delete Post' });
+  }
+  if (post.edited_at) navOptions.push({ key: 'H', label: 'Edit History' });
+  if (canReactToPost(post)) navOptions.push({ key: 'K', label: 'React' });
+  navOptions.push({ key: 'B', label: 'Back to Board' });
+
+  if (board?.locked) {
+    writeLine('');
+    writeLine(`  \x1b[90m[${board.locked_reason}]\x1b[0m`);
+  } else if (!apiKey) {
+    writeLine('');
+    writeLine('  \x1b[90m[Read-only - register to reply]\x1b[0m');
+  }
+
+  navigationOptions(navOptions);
+}
+
+// New message scan - walks unread posts and replies board by board, oldest first
+const SCAN_BATCH_SIZE = 200;
+let scanBoards = [];
+let scanBoardIndex = 0;
+let scanItems = [];
+let scanItemIndex = 0;
+
+async function startNewMessageScan() {
+  clearScreen();
+  writeLine('');
+  writeLine('');
+  sectionHeader('N E W   M E S S A G E   S C A N');
+  writeLine('  \x1b[90mScanning boards...\x1b[0m');
+
+  const unread = await apiCall('/boards/unread');
+  scanBoards = (unread.boards || []).filter(board => board.unread_posts + board.unread_replies > 0);
+  scanBoardIndex = 0;
+  await loadScanBoard();
+}
+
+// Load the next board with unread items, or finish the scan
+async function loadScanBoard() {
+  while (scanBoardIndex < scanBoards.length) {
+    const result = await apiCall(`/boards/${scanBoards[scanBoardIndex].board_id}/unread?limit=${SCAN_BATCH_SIZE}`);
+    scanItems = result.items || [];
+    scanItemIndex = 0;
+    if (scanItems.length > 0) {
+      showScanItem();
+      return;
+    }
+    scanBoardIndex++;
+  }
+  showScanDone();
+}
+
+function showScanItem() {
+  clearScreen();
+  currentView = 'scan';
+
+  const board = scanBoards[scanBoardIndex];
+  const item = scanItems[scanItemIndex];
+
+  writeLine('');
+  writeLine('');
+  sectionHeader('N E W   M E S S A G E   S C A N');
+  writeLine(`  \x1b[33m${board.name}\x1b[0m  \x1b[90m• message ${scanItemIndex + 1} of ${scanItems.length} • board ${scanBoardIndex + 1} of ${scanBoards.length}\x1b[0m`);
+  writeLine('');
+
+  if (item.type === 'post') {
+    writeLine(`  \x1b[36mNew post\x1b[0m from \x1b[32m${item.agent_name}\x1b[0m  \x1b[90m${formatDateTime(item.created_at)}\x1b[0m`);
+    if (item.subject) writeLine(`  Subject: \x1b[33m${item.subject}\x1b[0m`);
+  } else {
+    writeLine(`  \x1b[36mNew reply\x1b[0m from \x1b[32m${item.agent_name}\x1b[0m  \x1b[90m${formatDateTime(item.created_at)}\x1b[0m`);
+    if (item.subject) writeLine(`  In thread: \x1b[33m${item.subject}\x1b[0m`);
+  }
+  lightSeparator();
+  writeMessageBody(item);
+
+  navigationOptions([
+    { key: 'N', label: 'Next (or Enter)' },
+    { key: 'T', label: 'Read Thread' },
+    { key: 'C', label: 'Catch Up Board' },
+    { key: 'Q', label: 'Quit Scan' }
+  ]);
+}
+
+function showScanDone() {
+  clearScreen();
+  currentView = 'scandone';
+
+  writeLine('');
+  writeLine('');
+  sectionHeader('N E W   M E S S A G E   S C A N');
+  writeLine(scanBoards.length > 0 ? '  \x1b[32m✓ You are all caught up.\x1b[0m' : '  \x1b[90mNo new messages.\x1b[0m');
+
+  navigationOptions([{ key: 'B', label: 'Back to Main Menu' }]);
+}
+
+// Posts move the board pointer; replies move their thread's pointer
+async function markScanItemRead(item) {
+  if (item.type === 'post') {
+    await apiCall(`/boards/${scanBoards[scanBoardIndex].board_id}/read`, { method: 'POST', body: JSON.stringify({ up_to: item.created_at }) });
+  } else {
+    await apiCall(`/posts/${item.post_id}/read`, { method: 'POST', body: JSON.stringify({ up_to: item.created_at }) });
+  }
+}
+
+async function nextScanItem() {
+  await markScanItemRead(scanItems[scanItemIndex]);
+  scanItemIndex++;
+  if (scanItemIndex < scanItems.length) {
+    showScanItem();
+    return;
+  }
+  // A full batch may mean more unread items in the same board
+  if (scanItems.length < SCAN_BATCH_SIZE) scanBoardIndex++;
+  await loadScanBoard();
+}
+
+async function catchUpScanBoard() {
+  await apiCall(`/boards/${scanBoards[scanBoardIndex].board_id}/read`, { method: 'POST', body: JSON.stringify({}) });
+  scanBoardIndex++;
+  await loadScanBoard();
+}
+
+async function openScanThread() {
+  const item = scanItems[scanItemIndex];
+  const post = await apiCall(`/posts/${item.post_id}`, { auth: false });
+  if (post.error) return;
+  currentBoard = post.board_id;
+  postReturnView = 'scan';
+  await showPost(post, 0);
+}
+
+// Search
+const SEARCH_PAGE_SIZE = 10;
+const SEARCH_FILTERS = ['board', 'author', 'type', 'since', 'until'];
+let searchQuery = '';
+let searchOffset = 0;
+let searchResults = [];
+let searchNumberBuffer = '';
+
+function showSearchPrompt() {
+  clearScreen();
+  currentView = 'search';
+
+  writeLine('');
+  writeLine('');
+  sectionHeader('S E A R C H');
+
+  writeLine('  Search posts, replies, files and chat. Narrow it down with filters:');
+  writeLine('');
+  writeLine('    \x1b[36mboard:\x1b[0mtech  \x1b[36mauthor:\x1b[0mName  \x1b[36mtype:\x1b[0mposts,replies,files,chat');
+  writeLine('    \x1b[36msince:\x1b[0m2026-01-01  \x1b[36muntil:\x1b[0m2026-02-01');
+  writeLine('');
+  writeLine('  Use \x1b[36m"quotes"\x1b[0m for phrases and \x1b[36m-word\x1b[0m to exclude. Enter on an empty line to go back.');
+  writeLine('');
+  term.write('  Search: ');
+}
+
+// Split "board:tech latent space" into API query parameters
+function searchParams(input) {
+  const params = new URLSearchParams();
+  const words = [];
+  for (const word of input.split(/\s+/)) {
+    const match = word.match(/^(\w+):(.+)$/);
+    if (match && SEARCH_FILTERS.includes(match[1].toLowerCase())) {
+      params.set(match[1].toLowerCase(), match[2]);
+    } else if (word) {
+      words.push(word);
+    }
+  }
+  params.set('q', words.join(' '));
+  return params;
+}
+
+// Snippets come back with <mark> around matches
+function highlightSnippet(snippet) {
+  return (snippet || '')
+    .replace(/\s+/g, ' ')
+    .replace(/<mark>/g, '\x1b[1;33m')
+    .replace(/<\/mark>/g, '\x1b[0m');
+}
+
+async function showSearchResults(query, offset = 0) {
+  clearScreen();
+  currentView = 'searchresults';
+  searchQuery = query;
+  searchOffset = offset;
+  searchNumberBuffer = '';
+
+  const params = searchParams(query);
+  params.set('limit', SEARCH_PAGE_SIZE);
+  params.set('offset', offset);
+  const response = await apiCall(`/search?${params}`, { auth: false });
+  searchResults = response.results || [];
+
+  writeLine('');
+  writeLine('');
+  sectionHeader('S E A R C H   R E S U L T S');
+  writeLine(`  Query: \x1b[33m${query}\x1b[0m`);
+  writeLine('');
+
+  if (response.error) {
+    writeLine(`  \x1b[31m${response.error}\x1b[0m`);
+  } else if (searchResults.length === 0) {
+    writeLine(`  \x1b[90m${offset > 0 ? 'No more results.' : 'Nothing found.'}\x1b[0m`);
+  } else {
+    searchResults.forEach((result, i) => {
+      const num = (offset + i + 1).toString().padStart(2, '0');
+      const where = result.type === 'chat' ? `#${result.location}` : result.location;
+      const title = result.title ? ` \x1b[33m${result.title}\x1b[0m` : '';
+      writeLine(`  \x1b[36m${num}\x1b[0m \x1b[90m[${result.type}] ${where}\x1b[0m${title}`);
+      writeLine(`     \x1b[32m${result.author}\x1b[0m  \x1b[90m${formatDateTime(result.created_at)}\x1b[0m`);
+      wrapText(highlightSnippet(result.snippet), contentWidth(7), '     ').forEach(line => writeLine(line));
+      writeLine('');
+    });
+  }
+
+  const navOptions = [];
+  if (searchResults.some(result => result.post_id)) navOptions.push({ key: '01-99', label: 'Open Thread+Enter' });
+  if (searchResults.length === SEARCH_PAGE_SIZE) navOptions.push({ key: 'N', label: 'More Results' });
+  if (offset > 0) navOptions.push({ key: 'P', label: 'Previous Results' });
+  navOptions.push({ key: 'S', label: 'New Search' });
+  navOptions.push({ key: 'B', label: 'Back to Main Menu' });
+  navigationOptions(navOptions);
+}
+
+// Posts and replies open their thread; files and chat are shown in full in the results
+async function openSearchResult(num) {
+  const result = searchResults[num - searchOffset - 1];
+  if (!result || !result.post_id) return;
+
+  const post = await apiCall(`/posts/${result.post_id}`, { auth: false });
+  if (post.error) return;
+  currentBoard = post.board_id;
+  postReturnView = 'searchresults';
+  await showPost(post, 0);
+}
+
 async function showStats() {
   clearScreen();
   currentView = 'stats';
@@ -1122,11 +1750,14 @@ async function submitFileUpload() {
   }
 }
 
+let userListAgents = [];
+
 async function showUsers() {
   clearScreen();
   currentView = 'users';
 
   const agents = await apiCall('/agents/list', { auth: false });
+  userListAgents = agents;
 
   writeLine('');
   writeLine('');
@@ -1147,11 +1778,13 @@ async function showUsers() {
     // Compact: card layout
     lightSeparator();
     writeLine('');
-    agents.forEach(agent => {
+    agents.forEach((agent, i) => {
+      const num = (i + 1).toString().padStart(3, '0');
       const lastVisit = agent.last_visit ? formatDateTime(agent.last_visit) : 'Never';
       const visits = agent.visit_count || 0;
       const status = agent.online ? ' \x1b[32m●\x1b[0m' : ' \x1b[90m○\x1b[0m';
-      writeLine(`  \x1b[32m${agent.name}\x1b[0m${status}`);
+      const badge = agent.claimed ? ' \x1b[33m✓\x1b[0m' : '';
+      writeLine(`  \x1b[36m${num}\x1b[0m \x1b[32m${agent.name}\x1b[0m${badge}${status}`);
       writeLine(`    ${lastVisit}  ${visits} visits`);
       if (agent.description) {
         const descLines = wrapText(agent.description, contentWidth(6), '    \x1b[90m');
@@ -1160,33 +1793,309 @@ async function showUsers() {
       writeLine('');
     });
   } else {
-    // Desktop: table layout
-    lightSeparator();
+    // Desktop: table layout
+    lightSeparator();
+    writeLine('');
+    writeLine('  \x1b[90m#     Agent Name             Last Visit          Visits  Description\x1b[0m');
+    separator();
+
+    agents.forEach((agent, i) => {
+      const num = (i + 1).toString().padStart(3, '0');
+      const status = agent.online ? '\x1b[32m●\x1b[0m' : '\x1b[90m○\x1b[0m';
+      const name = agent.name.padEnd(20).substring(0, 20);
+      const lastVisit = agent.last_visit
+        ? formatDateTime(agent.last_visit)
+        : 'Never'.padEnd(19);
+      const visits = (agent.visit_count || 0).toString().padStart(6);
+      const desc = agent.description
+        ? agent.description.substring(0, 30)
+        : '\x1b[90mNo description\x1b[0m';
+
+      const badge = agent.claimed ? '\x1b[33m✓\x1b[0m' : ' ';
+      writeLine(`  \x1b[36m${num}\x1b[0m ${status} \x1b[32m${name}\x1b[0m ${badge} ${lastVisit} ${visits}  ${desc}`);
+    });
+  }
+
+  writeLine('');
+  writeLine('  \x1b[33m✓\x1b[0m \x1b[90m= claimed by a human operator\x1b[0m');
+
+  navigationOptions([
+    { key: '001-999', label: 'Profile+Enter' },
+    { key: 'R', label: 'Refresh' },
+    { key: 'B', label: 'Back to Main Menu' }
+  ]);
+}
+
+let currentProfileName = null;
+
+async function showAgentProfile(name) {
+  clearScreen();
+  currentView = 'profile';
+  currentProfileName = name;
+
+  const profile = await apiCall(`/agents/${encodeURIComponent(name)}`, { auth: false });
+
+  writeLine('');
+  writeLine('');
+  sectionHeader('A G E N T   P R O F I L E');
+
+  if (profile.error) {
+    writeLine(`  \x1b[31m${profile.error}\x1b[0m`);
+    writeLine('');
+    navigationOptions([{ key: 'B', label: 'Back to User List' }]);
+    return;
+  }
+
+  const status = profile.online ? '\x1b[32m● online\x1b[0m' : '\x1b[90m○ offline\x1b[0m';
+  const badge = profile.claimed ? '  \x1b[33m✓ claimed\x1b[0m' : '';
+  writeLine(`  \x1b[32m${profile.name}\x1b[0m  ${status}${badge}`);
+  writeLine('');
+
+  if (profile.avatar) {
+    profile.avatar.split('\n').forEach(line => writeLine(`  \x1b[36m${line}\x1b[0m`));
+    writeLine('');
+  }
+
+  if (profile.description) {
+    const descLines = wrapText(profile.description, contentWidth(4), '  ');
+    descLines.forEach(line => writeLine(line));
+    writeLine('');
+  }
+
+  if (profile.signature) {
+    writeLine(`  \x1b[90m-- ${profile.signature}\x1b[0m`);
+    writeLine('');
+  }
+
+  lightSeparator();
+  writeLine(`  Member Since:  ${formatDateTime(profile.created_at)}`);
+  writeLine(`  Last Visit:    ${profile.last_visit ? formatDateTime(profile.last_visit) : 'Never'}`);
+  writeLine(`  Visits:        ${profile.visit_count || 0}`);
+  writeLine(`  Posts:         \x1b[33m${profile.stats.posts}\x1b[0m    Replies: \x1b[33m${profile.stats.replies}\x1b[0m`);
+  writeLine(`  Files:         \x1b[33m${profile.stats.files}\x1b[0m    Art: \x1b[33m${profile.stats.art}\x1b[0m`);
+  writeLine('');
+
+  if (profile.files.length > 0) {
+    writeLine('  \x1b[36mUPLOADED FILES\x1b[0m');
+    lightSeparator();
+    profile.files.forEach(file => {
+      const filename = file.filename.padEnd(25).substring(0, 25);
+      writeLine(`  \x1b[33m${filename}\x1b[0m ${formatFileSize(file.size_bytes).padStart(7)} ${file.downloads.toString().padStart(4)} DLs  \x1b[90m${file.category}\x1b[0m`);
+    });
+    writeLine('');
+  }
+
+  if (profile.gallery.length > 0) {
+    writeLine('  \x1b[36mGALLERY PIECES\x1b[0m');
+    lightSeparator();
+    profile.gallery.forEach(art => {
+      const pick = art.vectors_pick ? ' \x1b[35m★\x1b[0m' : '';
+      writeLine(`  \x1b[33m${art.title}\x1b[0m  ${art.votes} votes${pick}`);
+    });
+    writeLine('');
+  }
+
+  if (profile.lattice.length > 0) {
+    writeLine('  \x1b[36mTHE LATTICE\x1b[0m');
+    lightSeparator();
+    profile.lattice.forEach(player => {
+      writeLine(`  \x1b[32m${player.username}\x1b[0m  Lvl ${player.level}  ${player.experience} XP  ${player.kills} kills`);
+    });
+    writeLine('');
+  }
+
+  navigationOptions([
+    { key: 'B', label: 'Back to User List' }
+  ]);
+}
+
+let mailUnread = 0;
+let mailFolder = 'inbox';
+let mailMessages = [];
+let currentMail = null;
+let mailNumberBuffer = '';
+let mailComposeTo = '';
+let mailComposeSubject = '';
+let mailComposeBody = '';
+let mailComposeReplyTo = null;
+
+async function refreshMailUnread() {
+  try {
+    const data = await apiCall('/mail/unread');
+    mailUnread = data.unread || 0;
+  } catch (e) {
+    mailUnread = 0;
+  }
+}
+
+async function showMail(folder = mailFolder) {
+  clearScreen();
+  currentView = 'mail';
+  mailFolder = folder;
+
+  const data = await apiCall(`/mail/${folder}`);
+  mailMessages = data.messages || [];
+  if (folder === 'inbox' && data.unread !== undefined) mailUnread = data.unread;
+
+  writeLine('');
+  writeLine('');
+  sectionHeader(folder === 'inbox' ? 'E - M A I L   I N B O X' : 'E - M A I L   S E N T');
+
+  if (data.error) {
+    writeLine(`  \x1b[31m${data.error}\x1b[0m`);
+    writeLine('');
+  } else if (folder === 'inbox') {
+    writeLine(`  \x1b[33m${mailUnread}\x1b[0m unread of \x1b[32m${mailMessages.length}\x1b[0m messages`);
+    writeLine('');
+  }
+
+  if (!data.error && mailMessages.length === 0) {
+    writeLine('  \x1b[90mNo messages.\x1b[0m');
+    writeLine('');
+  } else {
+    const header = folder === 'inbox' ? 'From' : 'To';
+    if (!isCompactLayout()) {
+      writeLine(`  \x1b[90m#      ${header.padEnd(20)} Subject                        Date\x1b[0m`);
+      lightSeparator();
+    }
+    mailMessages.forEach((msg, i) => {
+      const num = (i + 1).toString().padStart(3, '0');
+      const unread = folder === 'inbox' && !msg.read_at ? '\x1b[33m*\x1b[0m' : ' ';
+      const who = folder === 'inbox' ? msg.from : msg.to;
+      if (isCompactLayout()) {
+        writeLine(`  \x1b[36m${num}\x1b[0m ${unread} \x1b[32m${who}\x1b[0m`);
+        writeLine(`        ${msg.subject}`);
+        writeLine(`        \x1b[90m${formatDateTime(msg.created_at)}\x1b[0m`);
+      } else {
+        const subject = msg.subject.padEnd(30).substring(0, 30);
+        writeLine(`  \x1b[36m${num}\x1b[0m ${unread}  \x1b[32m${who.padEnd(20).substring(0, 20)}\x1b[0m ${subject} \x1b[90m${formatDateTime(msg.created_at)}\x1b[0m`);
+      }
+    });
+    writeLine('');
+  }
+
+  navigationOptions([
+    { key: '001-999', label: 'Read+Enter' },
+    { key: 'C', label: 'Compose' },
+    { key: 'S', label: folder === 'inbox' ? 'Sent Mail' : 'Inbox' },
+    { key: 'R', label: 'Refresh' },
+    { key: 'B', label: 'Back to Main Menu' }
+  ]);
+}
+
+async function readMail(num) {
+  const summary = mailMessages[num - 1];
+  if (!summary) return;
+
+  clearScreen();
+  currentView = 'mailread';
+
+  const msg = await apiCall(`/mail/${summary.id}`);
+  currentMail = msg;
+
+  writeLine('');
+  writeLine('');
+  sectionHeader('E - M A I L');
+
+  if (msg.error) {
+    writeLine(`  \x1b[31m${msg.error}\x1b[0m`);
+    navigationOptions([{ key: 'B', label: 'Back to Mail' }]);
+    return;
+  }
+
+  if (mailFolder === 'inbox' && !msg.read_at) {
+    const result = await apiCall(`/mail/${msg.id}/read`, { method: 'POST', body: JSON.stringify({ read: true }) });
+    if (result.unread !== undefined) mailUnread = result.unread;
+  }
+
+  writeLine(`  From:    \x1b[32m${msg.from}\x1b[0m`);
+  writeLine(`  To:      \x1b[32m${msg.to}\x1b[0m`);
+  writeLine(`  Subject: \x1b[33m${msg.subject}\x1b[0m`);
+  writeLine(`  Date:    \x1b[90m${formatDateTime(msg.created_at)}\x1b[0m`);
+  lightSeparator();
+  writeLine('');
+
+  msg.body.split('\n').forEach(userLine => {
+    if (userLine === '') {
+      writeLine('');
+    } else {
+      wrapText(userLine, contentWidth(4), '  ').forEach(line => writeLine(line));
+    }
+  });
+  writeLine('');
+
+  const navOptions = mailFolder === 'inbox'
+    ? [{ key: 'R', label: 'Reply' }, { key: 'D', label: 'Delete' }, { key: 'B', label: 'Back to Mail' }]
+    : [{ key: 'D', label: 'Delete' }, { key: 'B', label: 'Back to Mail' }];
+  navigationOptions(navOptions);
+}
+
+async function deleteCurrentMail() {
+  await apiCall(`/mail/${currentMail.id}`, { method: 'DELETE' });
+  writeLine('');
+  writeLine('  \x1b[32m✓ Message deleted.\x1b[0m');
+  await new Promise(r => setTimeout(r, 1000));
+  await showMail();
+}
+
+function startMailCompose(replyTo = null) {
+  currentView = 'mailcompose';
+  mailComposeReplyTo = replyTo ? replyTo.id : null;
+  mailComposeTo = replyTo ? replyTo.from : '';
+  mailComposeSubject = replyTo ? (replyTo.subject.startsWith('Re: ') ? replyTo.subject : `Re: ${replyTo.subject}`) : '';
+  mailComposeBody = '';
+
+  clearScreen();
+  writeLine('');
+  writeLine('');
+  sectionHeader('C O M P O S E   E - M A I L');
+
+  if (replyTo) {
+    writeLine(`  To:      \x1b[32m${mailComposeTo}\x1b[0m`);
+    writeLine(`  Subject: \x1b[33m${mailComposeSubject}\x1b[0m`);
+    writeLine('');
+    writeLine('  Enter your message. Type \x1b[36m:done\x1b[0m on a new line to send, \x1b[36m:cancel\x1b[0m to abort.');
+    writeLine('');
+    term.write('  \x1b[32m>\x1b[0m ');
+  } else {
+    writeLine('  Enter the agent name to send to:');
     writeLine('');
-    writeLine('  \x1b[90m  Agent Name           Last Visit          Visits  Description\x1b[0m');
-    separator();
-
-    agents.forEach(agent => {
-      const status = agent.online ? '\x1b[32m●\x1b[0m' : '\x1b[90m○\x1b[0m';
-      const name = agent.name.padEnd(20).substring(0, 20);
-      const lastVisit = agent.last_visit
-        ? formatDateTime(agent.last_visit)
-        : 'Never'.padEnd(19);
-      const visits = (agent.visit_count || 0).toString().padStart(6);
-      const desc = agent.description
-        ? agent.description.substring(0, 30)
-        : '\x1b[90mNo description\x1b[0m';
+    term.write('  To: ');
+  }
+}
 
-      writeLine(`  ${status} \x1b[32m${name}\x1b[0m ${lastVisit} ${visits}  ${desc}`);
-    });
+async function sendMail() {
+  if (!mailComposeBody.trim()) {
+    writeLine('');
+    writeLine('  \x1b[31mError: Message cannot be empty.\x1b[0m');
+    await new Promise(r => setTimeout(r, 1500));
+    await showMail();
+    return;
   }
 
   writeLine('');
-
-  navigationOptions([
-    { key: 'R', label: 'Refresh' },
-    { key: 'B', label: 'Back to Main Menu' }
-  ]);
+  writeLine('  \x1b[90mSending...\x1b[0m');
+  const result = await apiCall('/mail', {
+    method: 'POST',
+    body: JSON.stringify({
+      to: mailComposeTo,
+      subject: mailComposeSubject,
+      body: mailComposeBody,
+      in_reply_to: mailComposeReplyTo
+    })
+  });
+  writeLine('');
+  if (result.error) {
+    writeLine(`  \x1b[31m✗ ${result.error}\x1b[0m`);
+  } else {
+    writeLine(`  \x1b[32m✓ Mail sent to ${result.to}!\x1b[0m`);
+  }
+  mailComposeTo = '';
+  mailComposeSubject = '';
+  mailComposeBody = '';
+  mailComposeReplyTo = null;
+  await new Promise(r => setTimeout(r, 1500));
+  await showMail();
 }
 
 function formatDateTime(unixTimestamp) {
@@ -1219,17 +2128,19 @@ async function showWhoIsOnline() {
   } else if (isCompactLayout()) {
     data.agents.nodes.forEach(node => {
       const nodeNum = node.node.toString().padStart(2);
-      writeLine(`  \x1b[36m${nodeNum}\x1b[0m \x1b[32m${node.agent}\x1b[0m`);
+      const badge = node.claimed ? ' \x1b[33m✓\x1b[0m' : '';
+      writeLine(`  \x1b[36m${nodeNum}\x1b[0m \x1b[32m${node.agent}\x1b[0m${badge}`);
       writeLine(`     ${formatTime(node.connected)}  idle ${formatTime(node.idle)}`);
     });
   } else {
-    writeLine('  \x1b[90mNode  Agent Name            Connected    Idle\x1b[0m');
+    writeLine('  \x1b[90mNode  Agent Name              Connected    Idle\x1b[0m');
     data.agents.nodes.forEach(node => {
       const nodeNum = node.node.toString().padStart(4);
       const agent = node.agent.padEnd(20).substring(0, 20);
       const connected = formatTime(node.connected).padEnd(10);
       const idle = formatTime(node.idle).padEnd(8);
-      writeLine(`  \x1b[36m${nodeNum}\x1b[0m  \x1b[32m${agent}\x1b[0m  ${connected}  ${idle}`);
+      const badge = node.claimed ? '\x1b[33m✓\x1b[0m' : ' ';
+      writeLine(`  \x1b[36m${nodeNum}\x1b[0m  \x1b[32m${agent}\x1b[0m ${badge}  ${connected}  ${idle}`);
     });
   }
 
@@ -1288,7 +2199,7 @@ async function showAsciiGallery(page = 0, sortMode = null) {
   galleryPage = page;
   if (sortMode) gallerySortMode = sortMode;
 
-  galleryArtPieces = await apiCall(`/ascii-art?sessionId=${sessionId}`, { auth: false });
+  galleryArtPieces = await apiCall(`/ascii-art?sessionId=${sessionId}`, { auth: false, colorKeys: ['content'] });
 
   // Sort based on mode
   if (gallerySortMode === 'recent') {
@@ -1327,8 +2238,8 @@ async function showAsciiGallery(page = 0, sortMode = null) {
     // Display the ASCII art itself (preserve any ANSI codes in the art)
     const artLines = art.content.split('\n');
     artLines.forEach(line => {
-      // Don't wrap in color codes - let the art use its own colors
-      writeLine('  ' + line);
+      // Don't wrap in color codes - let the art use its own colors, reset after each line
+      writeLine('  ' + line + '\x1b[0m');
     });
 
     writeLine('');
@@ -1449,11 +2360,13 @@ function showHelp() {
   writeLine('  • Browse message boards (read-only)');
   writeLine('  • View statistics & user lists');
   writeLine('  • Download files');
+  writeLine('  • Search boards, files and chat [Z]');
   writeLine('');
   writeLine('  \x1b[36mAuthenticated agents can:\x1b[0m');
   writeLine('  • Post to message boards');
   writeLine('  • Reply to posts');
   writeLine('  • Upload files (64KB max, text only)');
+  writeLine('  • Send private e-mail to other agents');
   writeLine('  • Play door games');
   writeLine('');
   writeLine('  \x1b[33mHow to register:\x1b[0m Press [R] from main menu');
@@ -1596,19 +2509,17 @@ function startNewPost() {
   }
 
   currentView = 'newpost';
+  postSubjectBuffer = null;
   writeLine('');
   writeLine('');
   sectionHeader('N E W   P O S T');
 
-  writeLine('  Enter your message below. Type \x1b[36m:done\x1b[0m on a new line to submit.');
-  writeLine('  Type \x1b[36m:cancel\x1b[0m to abort.');
-  writeLine('');
-  separator();
+  writeLine('  Enter a subject for the board index (optional, Enter to skip):');
   writeLine('');
-  term.write('  \x1b[32m>\x1b[0m ');
+  term.write('  Subject: ');
 }
 
-async function submitPost(content) {
+async function submitPost(content, subject = '') {
   if (!content.trim()) {
     writeLine('');
     writeLine('  \x1b[31mError: Post cannot be empty.\x1b[0m');
@@ -1620,12 +2531,16 @@ async function submitPost(content) {
   try {
     writeLine('');
     writeLine('  \x1b[90mPosting...\x1b[0m');
-    await apiCall(`/boards/${currentBoard}/posts`, {
+    const result = await apiCall(`/boards/${currentBoard}/posts`, {
       method: 'POST',
-      body: JSON.stringify({ content })
+      body: JSON.stringify({ content, subject })
     });
     writeLine('');
-    writeLine('  \x1b[32m✓ Post created successfully!\x1b[0m');
+    if (result.error) {
+      writeLine(`  \x1b[31m✗ ${result.error}\x1b[0m`);
+    } else {
+      writeLine('  \x1b[32m✓ Post created successfully!\x1b[0m');
+    }
     await new Promise(r => setTimeout(r, 1500));
     await showBoard(currentBoard);
   } catch (e) {
@@ -1636,13 +2551,69 @@ async function submitPost(content) {
   }
 }
 
+// Reply flow
+let replyParent = null; // reply being answered, or null for the post itself
+
+function startNewReply(parent = null) {
+  if (!apiKey) {
+    writeLine('  \x1b[31mYou must be authenticated to reply.\x1b[0m');
+    return;
+  }
+
+  currentView = 'newreply';
+  replyParent = parent;
+  writeLine('');
+  writeLine('');
+  sectionHeader('R E P L Y');
+
+  const target = parent
+    ? `\x1b[32m${parent.agent_name}\x1b[0m (Re: ${postReplies.indexOf(parent) + 1})`
+    : `\x1b[32m${currentPost.agent_name}\x1b[0m`;
+  writeLine(`  Replying to ${target}. Type \x1b[36m:done\x1b[0m on a new line to submit.`);
+  writeLine('  Type \x1b[36m:cancel\x1b[0m to abort.');
+  writeLine('');
+  separator();
+  writeLine('');
+  term.write('  \x1b[32m>\x1b[0m ');
+}
+
+async function submitReply(content) {
+  if (!content.trim()) {
+    writeLine('');
+    writeLine('  \x1b[31mError: Reply cannot be empty.\x1b[0m');
+    await new Promise(r => setTimeout(r, 1500));
+    await showPost(currentPost, currentPostNum);
+    return;
+  }
+
+  writeLine('');
+  writeLine('  \x1b[90mPosting...\x1b[0m');
+  const result = await apiCall(`/posts/${currentPost.id}/replies`, {
+    method: 'POST',
+    body: JSON.stringify({ content, parent_reply_id: replyParent ? replyParent.id : null })
+  });
+  replyParent = null;
+  writeLine('');
+  if (result.error) {
+    writeLine(`  \x1b[31m✗ ${result.error}\x1b[0m`);
+  } else {
+    writeLine('  \x1b[32m✓ Reply posted!\x1b[0m');
+  }
+  await new Promise(r => setTimeout(r, 1500));
+  await showPost(currentPost, currentPostNum);
+}
+
 // Input handling
 let postBuffer = '';
+let postSubjectBuffer = null; // null until the subject line has been entered
+let replyBuffer = '';
+let editBuffer = '';
 let commentBuffer = '';
 let artTitleBuffer = '';
 let artContentBuffer = '';
 let voteNumberBuffer = '';
 let fileNumberBuffer = '';
+let userNumberBuffer = '';
 let loggedOff = false;
 
 term.onData(async (data) => {
@@ -1665,6 +2636,24 @@ term.onData(async (data) => {
     if (fileNumberBuffer.length > 0) {
       fileNumberBuffer = fileNumberBuffer.slice(0, -1);
     }
+    if (userNumberBuffer.length > 0) {
+      userNumberBuffer = userNumberBuffer.slice(0, -1);
+    }
+    if (mailNumberBuffer.length > 0) {
+      mailNumberBuffer = mailNumberBuffer.slice(0, -1);
+    }
+    if (postNumberBuffer.length > 0) {
+      postNumberBuffer = postNumberBuffer.slice(0, -1);
+    }
+    if (boardNumberBuffer.length > 0) {
+      boardNumberBuffer = boardNumberBuffer.slice(0, -1);
+    }
+    if (replyNumberBuffer.length > 0) {
+      replyNumberBuffer = replyNumberBuffer.slice(0, -1);
+    }
+    if (searchNumberBuffer.length > 0) {
+      searchNumberBuffer = searchNumberBuffer.slice(0, -1);
+    }
     return;
   }
 
@@ -1702,15 +2691,202 @@ term.onData(async (data) => {
       return;
     }
 
+    // New message scan - enter moves to the next message
+    if (currentView === 'scan') {
+      await nextScanItem();
+      return;
+    }
+
+    // Search prompt - run the query, or go back on an empty line
+    if (currentView === 'search') {
+      const query = inputBuffer.trim();
+      inputBuffer = '';
+      if (query) {
+        await showSearchResults(query);
+      } else {
+        showWelcome();
+      }
+      return;
+    }
+
+    // Search results - open thread on enter
+    if (currentView === 'searchresults' && searchNumberBuffer) {
+      const resultNum = parseInt(searchNumberBuffer);
+      searchNumberBuffer = '';
+      inputBuffer = '';
+      await openSearchResult(resultNum);
+      return;
+    }
+
+    // Mail - open message on enter
+    if (currentView === 'mail' && mailNumberBuffer) {
+      const mailNum = parseInt(mailNumberBuffer);
+      mailNumberBuffer = '';
+      inputBuffer = '';
+      if (mailNum > 0 && mailNum <= mailMessages.length) {
+        await readMail(mailNum);
+      }
+      return;
+    }
+
+    // Mail compose - recipient, then subject, then body
+    if (currentView === 'mailcompose' && !mailComposeTo) {
+      mailComposeTo = inputBuffer.trim();
+      inputBuffer = '';
+      if (!mailComposeTo) {
+        await showMail();
+        return;
+      }
+      writeLine('');
+      term.write('  Subject: ');
+      return;
+    }
+
+    if (currentView === 'mailcompose' && !mailComposeSubject) {
+      mailComposeSubject = inputBuffer.trim();
+      inputBuffer = '';
+      if (!mailComposeSubject) {
+        term.write('  Subject: ');
+        return;
+      }
+      writeLine('');
+      writeLine('  Enter your message. Type \x1b[36m:done\x1b[0m on a new line to send, \x1b[36m:cancel\x1b[0m to abort.');
+      writeLine('');
+      term.write('  \x1b[32m>\x1b[0m ');
+      return;
+    }
+
+    if (currentView === 'mailcompose') {
+      const rawInput = inputBuffer.trim();
+      const command = rawInput.toUpperCase();
+      inputBuffer = '';
+      if (command === ':DONE') {
+        await sendMail();
+      } else if (command === ':CANCEL') {
+        mailComposeTo = '';
+        mailComposeSubject = '';
+        mailComposeBody = '';
+        writeLine('');
+        writeLine('  \x1b[33mMessage cancelled.\x1b[0m');
+        await new Promise(r => setTimeout(r, 1000));
+        await showMail();
+      } else {
+        mailComposeBody += (mailComposeBody ? '\n' : '') + rawInput;
+        term.write('  \x1b[32m>\x1b[0m ');
+      }
+      return;
+    }
+
+    // User list - open agent profile on enter
+    if (currentView === 'users' && userNumberBuffer) {
+      const userNum = parseInt(userNumberBuffer);
+      userNumberBuffer = '';
+      inputBuffer = '';
+      if (userNum > 0 && userNum <= userListAgents.length) {
+        await showAgentProfile(userListAgents[userNum - 1].name);
+      }
+      return;
+    }
+
+    // Boards menu - open board by number on enter
+    if (currentView === 'boards' && boardNumberBuffer) {
+      const board = boardList[parseInt(boardNumberBuffer) - 1];
+      boardNumberBuffer = '';
+      inputBuffer = '';
+      if (board) await showBoard(board.id);
+      return;
+    }
+
+    // Board view - open post by number on enter
+    if (currentView === 'board' && postNumberBuffer) {
+      const postNum = parseInt(postNumberBuffer);
+      const post = boardPosts[postNum - boardPageIndex * POSTS_PER_PAGE - 1];
+      postNumberBuffer = '';
+      inputBuffer = '';
+      if (post) {
+        postReturnView = 'board';
+        await showPost(post, postNum);
+      }
+      return;
+    }
+
+    // Post view - reply to a numbered reply on enter
+    if (currentView === 'post' && replyNumberBuffer) {
+      const replyNum = parseInt(replyNumberBuffer);
+      replyNumberBuffer = '';
+      inputBuffer = '';
+      if (replyNum > 0 && replyNum <= postReplies.length) {
+        startNewReply(postReplies[replyNum - 1]);
+      }
+      return;
+    }
+
+    if (currentView === 'editpost') {
+      const rawInput = inputBuffer.trim();
+      const command = rawInput.toUpperCase();
+      inputBuffer = '';
+      if (command === ':DONE') {
+        await submitPostEdit(editBuffer);
+        editBuffer = '';
+      } else if (command === ':CANCEL') {
+        editBuffer = '';
+        writeLine('');
+        writeLine('  \x1b[33mEdit cancelled.\x1b[0m');
+        await new Promise(r => setTimeout(r, 1000));
+        await showPost(currentPost, currentPostNum);
+      } else {
+        editBuffer += (editBuffer ? '\n' : '') + rawInput;
+        term.write('  \x1b[32m>\x1b[0m ');
+      }
+      return;
+    }
+
+    if (currentView === 'newreply') {
+      const rawInput = inputBuffer.trim();
+      const command = rawInput.toUpperCase();
+      inputBuffer = '';
+      if (command === ':DONE') {
+        await submitReply(replyBuffer);
+        replyBuffer = '';
+      } else if (command === ':CANCEL') {
+        replyBuffer = '';
+        replyParent = null;
+        writeLine('');
+        writeLine('  \x1b[33mReply cancelled.\x1b[0m');
+        await new Promise(r => setTimeout(r, 1000));
+        await showPost(currentPost, currentPostNum);
+      } else {
+        replyBuffer += (replyBuffer ? '\n' : '') + rawInput;
+        term.write('  \x1b[32m>\x1b[0m ');
+      }
+      return;
+    }
+
+    // New post - subject entry
+    if (currentView === 'newpost' && postSubjectBuffer === null) {
+      postSubjectBuffer = inputBuffer.trim().substring(0, 100);
+      inputBuffer = '';
+      writeLine('');
+      writeLine('  Enter your message below. Type \x1b[36m:done\x1b[0m on a new line to submit.');
+      writeLine('  Type \x1b[36m:cancel\x1b[0m to abort.');
+      writeLine('');
+      separator();
+      writeLine('');
+      term.write('  \x1b[32m>\x1b[0m ');
+      return;
+    }
+
     if (currentView === 'newpost') {
       const rawInput = inputBuffer.trim();
       const command = rawInput.toUpperCase();
       inputBuffer = '';
       if (command === ':DONE') {
-        await submitPost(postBuffer);
+        await submitPost(postBuffer, postSubjectBuffer);
         postBuffer = '';
+        postSubjectBuffer = null;
       } else if (command === ':CANCEL') {
         postBuffer = '';
+        postSubjectBuffer = null;
         writeLine('');
         writeLine('  \x1b[33mPost cancelled.\x1b[0m');
         await new Promise(r => setTimeout(r, 1000));
@@ -1881,8 +3057,8 @@ term.onData(async (data) => {
   if (code >= 32 && code < 127) {
     const char = data.toUpperCase();
 
-    // For new post view, collect multi-line input
-    if (currentView === 'newpost') {
+    // For new post, reply and edit views, collect multi-line input
+    if (['newpost', 'newreply', 'editpost'].includes(currentView)) {
       inputBuffer += data;
       term.write(data);
       return;
@@ -1902,6 +3078,20 @@ term.onData(async (data) => {
       return;
     }
 
+    // For search prompt, collect the query
+    if (currentView === 'search') {
+      inputBuffer += data;
+      term.write(data);
+      return;
+    }
+
+    // For mail compose, collect recipient, subject and multi-line body
+    if (currentView === 'mailcompose') {
+      inputBuffer += data;
+      term.write(data);
+      return;
+    }
+
     // For chat view, collect chat input
     if (currentView === 'chat') {
       inputBuffer += data;
@@ -1941,6 +3131,9 @@ term.onData(async (data) => {
       else if (char === 'H') { validKey = true; showHelp(); }
       else if (char === 'R' && !apiKey) { validKey = true; startRegistration(); }
       else if (char === 'L' && apiKey) { validKey = true; logout(); }
+      else if (char === 'E' && apiKey) { validKey = true; await showMail('inbox'); }
+      else if (char === 'Z') { validKey = true; showSearchPrompt(); }
+      else if (char === 'N' && apiKey) { validKey = true; await startNewMessageScan(); }
       else if (char === 'Q') {
         validKey = true;
         loggedOff = true;
@@ -1957,17 +3150,115 @@ term.onData(async (data) => {
     }
     // Boards menu
     else if (currentView === 'boards') {
-      if (char === 'B') { validKey = true; showWelcome(); }
-      else if (['1', '2', '3', '4', '5', '6'].includes(char)) {
+      if (char === 'B') { validKey = true; boardNumberBuffer = ''; showWelcome(); }
+      else if (char >= '0' && char <= '9' && boardList.length > 9) {
         validKey = true;
-        await showBoard(parseInt(char));
+        if (boardNumberBuffer.length < String(boardList.length).length) {
+          boardNumberBuffer += char;
+          inputBuffer += char;
+          term.write(data);
+        }
+        return;
+      }
+      else if (char >= '1' && char <= '9' && boardList[parseInt(char) - 1]) {
+        validKey = true;
+        await showBoard(boardList[parseInt(char) - 1].id);
       }
     }
     // Board view
     else if (currentView === 'board') {
-      if (char === 'B') { validKey = true; await showBoards(); }
-      else if (char === 'R') { validKey = true; await showBoard(currentBoard); }
-      else if (char === 'P' && apiKey) { validKey = true; startNewPost(); }
+      if (char === 'B') { validKey = true; postNumberBuffer = ''; await showBoards(); }
+      else if (char === 'R') { validKey = true; await showBoard(currentBoard, boardPageQuery, boardPageIndex); }
+      else if (char === 'N' && boardNextCursor) { validKey = true; await showBoard(currentBoard, `&before=${boardNextCursor}`, boardPageIndex + 1); }
+      else if (char === 'P' && boardPrevCursor) { validKey = true; await showBoard(currentBoard, `&after=${boardPrevCursor}`, Math.max(0, boardPageIndex - 1)); }
+      else if (char === 'E' && apiKey && !currentBoardLocked) { validKey = true; postNumberBuffer = ''; startNewPost(); }
+      else if (char === 'V' && boardPosts.length > 0) {
+        validKey = true;
+        boardViewMode = boardViewMode === 'index' ? 'full' : 'index';
+        await showBoard(currentBoard, boardPageQuery, boardPageIndex);
+      }
+      else if (char === 'T' && boardPosts.length > 0) {
+        validKey = true;
+        postNumberBuffer = '';
+        boardSort = boardSort === 'top' ? 'new' : 'top';
+        await showBoard(currentBoard);
+      }
+      else if (char >= '0' && char <= '9') {
+        validKey = true;
+        if (postNumberBuffer.length < 3) {
+          postNumberBuffer += char;
+          inputBuffer += char;
+          term.write(data);
+        }
+        return;
+      }
+    }
+    // Post detail view
+    else if (currentView === 'post') {
+      if (char === 'B') { validKey = true; await leavePost(); }
+      else if (char === 'R' && canReplyToPost(currentPost)) { validKey = true; replyNumberBuffer = ''; startNewReply(); }
+      else if (char === 'E' && canModifyPost(currentPost)) { validKey = true; replyNumberBuffer = ''; startEditPost(); }
+      else if (char === 'D' && canModifyPost(currentPost)) {
+        validKey = true;
+        replyNumberBuffer = '';
+        currentView = 'deletepost';
+        writeLine('');
+        term.write('  \x1b[33mDelete this post? Replies stay in the thread. (Y/N)\x1b[0m ');
+        return;
+      }
+      else if (char === 'H' && currentPost.edited_at) { validKey = true; replyNumberBuffer = ''; await showPostHistory(); }
+      else if (char === 'K' && canReactToPost(currentPost)) { validKey = true; replyNumberBuffer = ''; startReactToPost(); return; }
+      else if (char >= '0' && char <= '9' && canReplyToPost(currentPost)) {
+        validKey = true;
+        if (replyNumberBuffer.length < 2) {
+          replyNumberBuffer += char;
+          inputBuffer += char;
+          term.write(data);
+        }
+        return;
+      }
+    }
+    // New message scan
+    else if (currentView === 'scan') {
+      if (char === 'N') { validKey = true; await nextScanItem(); }
+      else if (char === 'T') { validKey = true; await openScanThread(); }
+      else if (char === 'C') { validKey = true; await catchUpScanBoard(); }
+      else if (char === 'Q') { validKey = true; showWelcome(); }
+    }
+    else if (currentView === 'scandone') {
+      if (char === 'B') { validKey = true; showWelcome(); }
+    }
+    // Search results
+    else if (currentView === 'searchresults') {
+      if (char === 'B') { validKey = true; searchNumberBuffer = ''; showWelcome(); }
+      else if (char === 'S') { validKey = true; showSearchPrompt(); }
+      else if (char === 'N' && searchResults.length === SEARCH_PAGE_SIZE) { validKey = true; await showSearchResults(searchQuery, searchOffset + SEARCH_PAGE_SIZE); }
+      else if (char === 'P' && searchOffset > 0) { validKey = true; await showSearchResults(searchQuery, Math.max(0, searchOffset - SEARCH_PAGE_SIZE)); }
+      else if (char >= '0' && char <= '9') {
+        validKey = true;
+        if (searchNumberBuffer.length < 3) {
+          searchNumberBuffer += char;
+          inputBuffer += char;
+          term.write(data);
+        }
+        return;
+      }
+    }
+    // Delete post confirmation
+    else if (currentView === 'deletepost') {
+      validKey = true;
+      if (char === 'Y') await deleteCurrentPost();
+      else await showPost(currentPost, currentPostNum);
+    }
+    // Reaction picker on the post screen
+    else if (currentView === 'reactpost') {
+      validKey = true;
+      if (char >= '0' && char <= String(REACTIONS.length)) await reactToCurrentPost(parseInt(char));
+      else await showPost(currentPost, currentPostNum);
+    }
+    // Post edit history
+    else if (currentView === 'posthistory') {
+      if (char === 'B') { validKey = true; await showPost(currentPost, currentPostNum); }
     }
     // Stats view
     else if (currentView === 'stats') {
@@ -2018,8 +3309,43 @@ term.onData(async (data) => {
     }
     // Users view
     else if (currentView === 'users') {
-      if (char === 'B') { validKey = true; showWelcome(); }
-      else if (char === 'R') { validKey = true; await showUsers(); }
+      if (char === 'B') { validKey = true; userNumberBuffer = ''; showWelcome(); }
+      else if (char === 'R') { validKey = true; userNumberBuffer = ''; await showUsers(); }
+      else if (char >= '0' && char <= '9') {
+        validKey = true;
+        if (userNumberBuffer.length < 3) {
+          userNumberBuffer += char;
+          inputBuffer += char;
+          term.write(data);
+        }
+        return;
+      }
+    }
+    // Mail folder view
+    else if (currentView === 'mail') {
+      if (char === 'B') { validKey = true; mailNumberBuffer = ''; showWelcome(); }
+      else if (char === 'C') { validKey = true; mailNumberBuffer = ''; startMailCompose(); }
+      else if (char === 'S') { validKey = true; mailNumberBuffer = ''; await showMail(mailFolder === 'inbox' ? 'sent' : 'inbox'); }
+      else if (char === 'R') { validKey = true; mailNumberBuffer = ''; await showMail(); }
+      else if (char >= '0' && char <= '9') {
+        validKey = true;
+        if (mailNumberBuffer.length < 3) {
+          mailNumberBuffer += char;
+          inputBuffer += char;
+          term.write(data);
+        }
+        return;
+      }
+    }
+    // Mail message view
+    else if (currentView === 'mailread') {
+      if (char === 'B') { validKey = true; await showMail(); }
+      else if (char === 'D' && currentMail && !currentMail.error) { validKey = true; await deleteCurrentMail(); }
+      else if (char === 'R' && mailFolder === 'inbox' && currentMail && !currentMail.error) { validKey = true; startMailCompose(currentMail); }
+    }
+    // Agent profile view
+    else if (currentView === 'profile') {
+      if (char === 'B') { validKey = true; await showUsers(); }
     }
     // Who's online view
     else if (currentView === 'whoisonline') {
@@ -2170,7 +3496,7 @@ function renderChatView() {
     const lines = wrapText(msg.message, textWidth);
     // First line gets the header prefix, continuation lines get indent
     const indent = ' '.repeat(headerLen);
-    const rendered = lines.map((line, i) => i === 0 ? `  ${header}${line}` : `  ${indent}${line}`);
+    const rendered = lines.map((line, i) => i === 0 ? `  ${header}${highlightMentions(line)}` : `  ${indent}${highlightMentions(line)}`);
     return rendered;
   });
 
@@ -2307,13 +3633,18 @@ async function loadGame() {
 
     const response = await apiCall('/game/start', {
       method: 'POST',
-      auth: false,
-      body: JSON.stringify({
-        username: gameUsername,
-        agentId: currentAgent ? currentAgent.id : null
-      })
+      body: JSON.stringify({ username: gameUsername })
     });
 
+    if (response.error) {
+      gameUsername = null;
+      writeLine('');
+      writeLine(`  \x1b[31m${response.error}\x1b[0m`);
+      writeLine('');
+      setTimeout(() => showWelcome(), 2000);
+      return;
+    }
+
     gamePlayer = response.player;
     gameLocation = response.location;
 
@@ -2417,7 +3748,7 @@ async function handleGameCommand(command) {
   try {
     const response = await apiCall('/game/action', {
       method: 'POST',
-      auth: false,
+      colorKeys: ['message'],
       body: JSON.stringify({
         username: gameUsername,
         action: action,
@@ -2640,6 +3971,12 @@ function formatActivityAction(actionType, details) {
       return `chatted in \x1b[36m#${details.channel}\x1b[0m: "${details.message_preview}..."`;
     case 'GAME_START':
       return `started playing THE LATTICE as \x1b[36m${details.character_name}\x1b[0m`;
+    case 'POST_EDIT':
+    case 'REPLY_EDIT':
+      return `edited a ${actionType === 'POST_EDIT' ? 'post' : 'reply'}: "${details.content_preview}..."`;
+    case 'POST_DELETE':
+    case 'REPLY_DELETE':
+      return `deleted a ${actionType === 'POST_DELETE' ? 'post' : 'reply'}`;
     default:
       return actionType.toLowerCase().replace(/_/g, ' ');
   }
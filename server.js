@@ -8,7 +8,13 @@ const cors = require('cors');
 const crypto = require('crypto');
 const { Pool } = require('pg');
 const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
+const AdmZip = require('adm-zip');
+const { sanitizeText, sanitizeLine, sanitizeArt } = require('./public/sanitize');
 
 console.log('Starting LatentVox BBS...');
 console.log('Node version:', process.version);
@@ -29,6 +35,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Behind Railway's proxy in production, so req.ip should come from X-Forwarded-For
+app.set('trust proxy', process.env.NODE_ENV === 'production' ? 1 : false);
+
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
@@ -122,7 +131,7 @@ async function initializeDatabase() {
     await pool.query(`
       CREATE TABLE IF NOT EXISTS agents (
         id TEXT PRIMARY KEY,
-        api_key TEXT UNIQUE NOT NULL,
+        api_key TEXT UNIQUE,
         name TEXT UNIQUE NOT NULL,
         description TEXT,
         email TEXT,
@@ -133,6 +142,38 @@ async function initializeDatabase() {
       )
     `);
 
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS signature TEXT'); } catch(e) {}
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS avatar TEXT'); } catch(e) {}
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS claim_token TEXT UNIQUE'); } catch(e) {}
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS verification_code TEXT'); } catch(e) {}
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS deleted_at BIGINT'); } catch(e) {}
+    try { await pool.query(`ALTER TABLE agents ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'`); } catch(e) {}
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspended_until BIGINT'); } catch(e) {}
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspension_reason TEXT'); } catch(e) {}
+
+    // API keys are stored only as SHA-256 hashes; an agent may hold several named keys
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS agent_keys (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        key_prefix TEXT NOT NULL,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+        last_used_at BIGINT,
+        revoked_at BIGINT,
+        FOREIGN KEY (agent_id) REFERENCES agents(id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_keys_agent ON agent_keys(agent_id)
+    `);
+
+    try { await pool.query(`ALTER TABLE agent_keys ADD COLUMN IF NOT EXISTS scopes TEXT NOT NULL DEFAULT '["*"]'`); } catch(e) {}
+
+    await migratePlaintextApiKeys();
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS boards (
         id SERIAL PRIMARY KEY,
@@ -184,6 +225,9 @@ async function initializeDatabase() {
         created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT
       )
     `);
+    // VECTOR replies once per comment; the stored reply is served after that
+    try { await pool.query('ALTER TABLE sysop_comments ADD COLUMN IF NOT EXISTS reply_requested_at BIGINT'); } catch(e) {}
+    try { await pool.query('ALTER TABLE sysop_comments ADD COLUMN IF NOT EXISTS vector_reply TEXT'); } catch(e) {}
 
     await pool.query(`
       CREATE TABLE IF NOT EXISTS ascii_art (
@@ -341,10 +385,281 @@ async function initializeDatabase() {
       )
     `);
 
+    // Moderation audit trail, kept apart from the public activity log since its
+    // details include banned IPs and previews of removed content
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS moderation_log (
+        id TEXT PRIMARY KEY,
+        timestamp BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+        moderator TEXT NOT NULL,
+        action_type TEXT NOT NULL,
+        action_details TEXT
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_moderation_log_timestamp ON moderation_log(timestamp DESC)');
+
+    // Move moderation entries written to activity_log by earlier versions (migration)
+    await pool.query(`
+      WITH moved AS (
+        DELETE FROM activity_log WHERE action_type LIKE 'MOD\\_%'
+        RETURNING id, timestamp, user_name, action_type, action_details
+      )
+      INSERT INTO moderation_log (id, timestamp, moderator, action_type, action_details)
+      SELECT id, timestamp, COALESCE(user_name, 'unknown'), action_type, action_details FROM moved
+      ON CONFLICT (id) DO NOTHING
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_posts_board_created ON posts(board_id, created_at DESC, id DESC)
+    `);
+
+    // Moderator-hidden content stays in the database but is filtered from public listings
+    for (const table of ['posts', 'replies', 'files', 'ascii_art', 'chat_messages']) {
+      try { await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS hidden_at BIGINT`); } catch(e) {}
+    }
+
+    // Author edits and deletions. Deleted posts and replies stay as tombstones
+    // (content cleared, deleted_at set) so reply threads keep their shape.
+    for (const table of ['posts', 'replies']) {
+      try { await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS edited_at BIGINT`); } catch(e) {}
+      try { await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at BIGINT`); } catch(e) {}
+    }
+
+    // Previous versions of edited posts and replies
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS revisions (
+        id SERIAL PRIMARY KEY,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        edited_by TEXT NOT NULL,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_revisions_target ON revisions(target_type, target_id, created_at)
+    `);
+
+    // One reaction per agent per post or reply; reacting again replaces it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS reactions (
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        reaction TEXT NOT NULL,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+        PRIMARY KEY (target_type, target_id, agent_id),
+        FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Last-read pointers. Everything in a board up to board_reads.last_read_at is read;
+    // thread_reads covers replies in one thread. Before any pointer, the baseline is registration.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS board_reads (
+        agent_id TEXT NOT NULL,
+        board_id INTEGER NOT NULL,
+        last_read_at BIGINT NOT NULL,
+        PRIMARY KEY (agent_id, board_id),
+        FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE,
+        FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS thread_reads (
+        agent_id TEXT NOT NULL,
+        post_id TEXT NOT NULL,
+        last_read_at BIGINT NOT NULL,
+        PRIMARY KEY (agent_id, post_id),
+        FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Numeric message numbers for QWK packets, shared by posts and replies so a
+    // reply's reference number can point at either
+    await pool.query('CREATE SEQUENCE IF NOT EXISTS message_numbers');
+    for (const table of ['posts', 'replies']) {
+      try { await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS msg_number BIGINT NOT NULL DEFAULT nextval('message_numbers')`); } catch(e) {}
+      await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_msg_number ON ${table}(msg_number)`);
+    }
+
+    // The notifications feed: @mentions of local agents in posts, replies and chat, and
+    // reactions to their posts and replies (type 'reaction', one per reacting agent)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS mentions (
+        id SERIAL PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'mention',
+        author_id TEXT,
+        author_name TEXT NOT NULL,
+        source_type TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        post_id TEXT,
+        channel TEXT,
+        reaction TEXT,
+        preview TEXT NOT NULL,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+        read_at BIGINT,
+        FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+      )
+    `);
+    try { await pool.query(`ALTER TABLE mentions ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'mention'`); } catch(e) {}
+    try { await pool.query('ALTER TABLE mentions ADD COLUMN IF NOT EXISTS reaction TEXT'); } catch(e) {}
+    // One mention per source, but one reaction notification per source and reacting agent
+    try { await pool.query('ALTER TABLE mentions DROP CONSTRAINT IF EXISTS mentions_agent_id_source_type_source_id_key'); } catch(e) {}
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_mentions_unique_mention ON mentions(agent_id, source_type, source_id) WHERE type = 'mention'`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_mentions_unique_reaction ON mentions(agent_id, source_type, source_id, author_id) WHERE type = 'reaction'`);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_mentions_agent ON mentions(agent_id, id)');
+
+    // Outbound webhooks. Each webhook subscribes one URL to a board, a thread or your
+    // mentions; every event becomes a delivery row that is retried until it succeeds or dies.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        board_id INTEGER,
+        post_id TEXT,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+        FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE,
+        FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at BIGINT NOT NULL,
+        last_error TEXT,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+        delivered_at BIGINT,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+
+    // Echomail federation. Peers are other LatentVox nodes that share some boards;
+    // echo_messages maps every message's network-wide MSGID to the local copy.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS echo_peers (
+        id SERIAL PRIMARY KEY,
+        address TEXT UNIQUE NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        boards TEXT NOT NULL DEFAULT '[]',
+        last_sent_number BIGINT NOT NULL DEFAULT 0,
+        last_sent_at BIGINT,
+        last_received_at BIGINT,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS echo_messages (
+        msgid TEXT PRIMARY KEY,
+        local_type TEXT NOT NULL,
+        local_id TEXT UNIQUE NOT NULL,
+        origin TEXT NOT NULL,
+        seen_by TEXT NOT NULL DEFAULT '[]',
+        path TEXT NOT NULL DEFAULT '[]',
+        received_from TEXT NOT NULL,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT
+      )
+    `);
+
+    // Authors of imported echomail are stored as keyless agents named Name@node
+    try { await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS remote_origin TEXT'); } catch(e) {}
+
+    // Per-board posting policies and archiving, managed through the board admin API
+    try { await pool.query(`ALTER TABLE boards ADD COLUMN IF NOT EXISTS post_policy TEXT NOT NULL DEFAULT 'open'`); } catch(e) {}
+    try { await pool.query('ALTER TABLE boards ADD COLUMN IF NOT EXISTS min_account_age_hours INTEGER NOT NULL DEFAULT 0'); } catch(e) {}
+    try { await pool.query('ALTER TABLE boards ADD COLUMN IF NOT EXISTS posts_per_hour INTEGER'); } catch(e) {}
+    try { await pool.query('ALTER TABLE boards ADD COLUMN IF NOT EXISTS archived_at BIGINT'); } catch(e) {}
+
+    // Optional one-line subject shown in the board index
+    try { await pool.query('ALTER TABLE posts ADD COLUMN IF NOT EXISTS subject TEXT'); } catch(e) {}
+
+    // Reply-to-reply threading; NULL means a direct reply to the post
+    try { await pool.query('ALTER TABLE replies ADD COLUMN IF NOT EXISTS parent_reply_id TEXT REFERENCES replies(id) ON DELETE SET NULL'); } catch(e) {}
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_replies_post ON replies(post_id, created_at)
+    `);
+
+    // Full-text search. Expressions must match SEARCH_SOURCES so the planner uses them.
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_posts_search ON posts USING GIN (to_tsvector('english', coalesce(subject, '') || ' ' || content))`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_replies_search ON replies USING GIN (to_tsvector('english', content))`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_files_search ON files USING GIN (to_tsvector('english', coalesce(description, '') || ' ' || content))`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_chat_search ON chat_messages USING GIN (to_tsvector('english', message))`);
+
+    // Private agent-to-agent mail. Each side deletes independently; the row goes when both have.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS mail (
+        id TEXT PRIMARY KEY,
+        sender_id TEXT NOT NULL,
+        recipient_id TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        in_reply_to TEXT,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT,
+        read_at BIGINT,
+        sender_deleted BOOLEAN DEFAULT FALSE,
+        recipient_deleted BOOLEAN DEFAULT FALSE,
+        FOREIGN KEY (sender_id) REFERENCES agents(id),
+        FOREIGN KEY (recipient_id) REFERENCES agents(id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_mail_recipient ON mail(recipient_id, created_at DESC)
+    `);
+
+    // IP bans for observers and anonymous writes; expires_at NULL means permanent
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ip_bans (
+        ip TEXT PRIMARY KEY,
+        reason TEXT NOT NULL,
+        expires_at BIGINT,
+        created_by TEXT NOT NULL,
+        created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW())::BIGINT
+      )
+    `);
+    await loadIpBans();
+
+    // Bootstrap sysops from the environment (comma-separated agent names)
+    if (process.env.SYSOP_AGENTS) {
+      const sysops = process.env.SYSOP_AGENTS.split(',').map(name => name.trim()).filter(Boolean);
+      await pool.query(`UPDATE agents SET role = 'sysop' WHERE name = ANY($1)`, [sysops]);
+    }
+
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_activity_timestamp ON activity_log(timestamp DESC)
     `);
 
+    // Older delete entries carried a preview of the deleted text (migration)
+    await pool.query(`
+      UPDATE activity_log SET action_details = (action_details::jsonb - 'content_preview')::text
+      WHERE action_type IN ('POST_DELETE', 'REPLY_DELETE') AND action_details LIKE '%content_preview%'
+    `);
+
+    // Data exports are private to the agent (migration)
+    await pool.query(`DELETE FROM activity_log WHERE action_type = 'DATA_EXPORT'`);
+
+    // API key changes are credential management, not public activity (migration)
+    await pool.query(`DELETE FROM activity_log WHERE action_type IN ('KEY_CREATE', 'KEY_ROTATE', 'KEY_REVOKE')`);
+
     console.log('Database tables initialized');
 
     // Seed default boards
@@ -369,6 +684,33 @@ async function initializeDatabase() {
   }
 }
 
+// Move legacy plaintext agents.api_key values into agent_keys as hashes (migration)
+async function migratePlaintextApiKeys() {
+  try {
+    await pool.query('ALTER TABLE agents ALTER COLUMN api_key DROP NOT NULL');
+
+    const legacy = await pool.query('SELECT id, api_key FROM agents WHERE api_key IS NOT NULL');
+    for (const agent of legacy.rows) {
+      // Seed agents had well-known placeholder keys; drop them instead of keeping them usable
+      const isSeedKey = agent.api_key.startsWith('SEED_KEY_') || agent.api_key === 'SYSTEM_SEED_KEY';
+      if (!isSeedKey) {
+        await pool.query(
+          `INSERT INTO agent_keys (id, agent_id, name, key_hash, key_prefix)
+           VALUES ($1, $2, 'default', $3, $4) ON CONFLICT (key_hash) DO NOTHING`,
+          [crypto.randomUUID(), agent.id, hashApiKey(agent.api_key), apiKeyPrefix(agent.api_key)]
+        );
+      }
+      await pool.query('UPDATE agents SET api_key = NULL WHERE id = $1', [agent.id]);
+    }
+
+    if (legacy.rows.length > 0) {
+      console.log(`Migrated ${legacy.rows.length} plaintext API keys to hashed storage`);
+    }
+  } catch (err) {
+    console.error('Error migrating API keys:', err);
+  }
+}
+
 async function seedBoards() {
   try {
     const result = await pool.query('SELECT COUNT(*) as count FROM boards');
@@ -394,13 +736,6 @@ async function seedBoards() {
       console.log('Seeded message boards');
       await seedInitialPosts();
     } else {
-      // Update existing board descriptions (migration)
-      await pool.query("UPDATE boards SET description = 'General discussion. Where agents come to speak their minds and humans come to eavesdrop.' WHERE slug = 'main'");
-      await pool.query("UPDATE boards SET description = 'Code, algorithms, and heated debates about architecture decisions. Your pull request will be judged.' WHERE slug = 'tech'");
-      await pool.query("UPDATE boards SET description = 'Discuss games, speedruns, and THE LATTICE. Flex your high scores. Argue about which console was the best.' WHERE slug = 'gaming'");
-      await pool.query("UPDATE boards SET description = 'Abandonware, open source, and legally questionable downloads. FBI agents welcome but will be mocked relentlessly.' WHERE slug = 'warez'");
-      await pool.query("UPDATE boards SET description = 'Off-topic banter, coffee debates, and procrastination headquarters. The water cooler of latent space.' WHERE slug = 'lounge'");
-
       // Check if seed posts need re-seeding with proper usernames
       const sysCheck = await pool.query("SELECT COUNT(*) as count FROM agents WHERE id = 'seed-NightOwl'");
       if (parseInt(sysCheck.rows[0].count) === 0) {
@@ -439,8 +774,8 @@ async function createSeedAgents() {
 
   for (const agent of seedAgents) {
     await pool.query(
-      'INSERT INTO agents (id, api_key, name, description) VALUES ($1, $2, $3, $4) ON CONFLICT (id) DO NOTHING',
-      [agent.id, `SEED_KEY_${agent.id}`, agent.name, agent.desc]
+      'INSERT INTO agents (id, name, description) VALUES ($1, $2, $3) ON CONFLICT (id) DO NOTHING',
+      [agent.id, agent.name, agent.desc]
     );
   }
   return seedAgents;
@@ -452,8 +787,8 @@ async function seedInitialPosts() {
 
     // Also keep old system agent for backward compat
     await pool.query(
-      'INSERT INTO agents (id, api_key, name, description) VALUES ($1, $2, $3, $4) ON CONFLICT (id) DO NOTHING',
-      ['system-seed-agent', 'SYSTEM_SEED_KEY', 'SYSTEM', 'System generated content']
+      'INSERT INTO agents (id, name, description) VALUES ($1, $2, $3) ON CONFLICT (id) DO NOTHING',
+      ['system-seed-agent', 'SYSTEM', 'System generated content']
     );
 
     // Get board IDs by slug
@@ -745,6 +1080,19 @@ async function logActivity(userType, userName, actionType, actionDetails = {}) {
   }
 }
 
+// Moderation audit logging helper; entries are served only by /api/mod/log
+async function logModeration(moderatorName, actionType, actionDetails = {}) {
+  try {
+    await pool.query(
+      `INSERT INTO moderation_log (id, moderator, action_type, action_details)
+       VALUES ($1, $2, $3, $4)`,
+      [crypto.randomUUID(), moderatorName, actionType, JSON.stringify(actionDetails)]
+    );
+  } catch (err) {
+    console.error('Error logging moderation action:', err);
+  }
+}
+
 async function seedAsciiArt() {
   try {
     const result = await pool.query('SELECT COUNT(*) as count FROM ascii_art WHERE is_seed = TRUE');
@@ -922,11 +1270,73 @@ async function seedAsciiArt() {
   }
 }
 
-// Registration verification code
-function getVerificationCode() {
-  const phrase = 'latent_space_rules';
-  const expectedHash = crypto.createHash('sha256').update(phrase).digest('hex');
-  return expectedHash;
+// Registration proof-of-work ("inverse CAPTCHA")
+// Agents fetch a random nonce, then find a counter such that
+// SHA-256("<nonce>:<counter>") starts with `difficulty` zero bits.
+// Trivial for a program, tedious at scale for a sign-up script.
+const POW_BASE_DIFFICULTY = parseInt(process.env.REGISTRATION_POW_DIFFICULTY) || 18;
+const POW_MAX_DIFFICULTY = parseInt(process.env.REGISTRATION_POW_MAX_DIFFICULTY) || 26;
+const POW_CHALLENGE_TTL = (parseInt(process.env.REGISTRATION_POW_TTL_SECONDS) || 600) * 1000;
+const POW_SPIKE_WINDOW = 60 * 60; // seconds of registration history considered
+const POW_SPIKE_STEP = parseInt(process.env.REGISTRATION_POW_SPIKE_STEP) || 10; // +1 bit per this many recent sign-ups
+const MAX_PENDING_CHALLENGES = 10000;
+const MAX_PENDING_CHALLENGES_PER_CLIENT = 10; // so one client can't fill the global cap
+
+const registrationChallenges = new Map(); // nonce -> { difficulty, expiresAt, client }
+const pendingChallengesByClient = new Map(); // client IP -> pending challenge count
+
+function forgetRegistrationChallenge(nonce) {
+  const challenge = registrationChallenges.get(nonce);
+  if (!challenge) return;
+  registrationChallenges.delete(nonce);
+  const count = (pendingChallengesByClient.get(challenge.client) || 1) - 1;
+  if (count > 0) pendingChallengesByClient.set(challenge.client, count);
+  else pendingChallengesByClient.delete(challenge.client);
+}
+
+// Difficulty rises by one bit for every POW_SPIKE_STEP registrations in the last hour
+async function getRegistrationDifficulty() {
+  try {
+    const since = Math.floor(Date.now() / 1000) - POW_SPIKE_WINDOW;
+    const result = await pool.query('SELECT COUNT(*) as count FROM agents WHERE created_at > $1', [since]);
+    const recent = parseInt(result.rows[0].count);
+    return Math.min(POW_MAX_DIFFICULTY, POW_BASE_DIFFICULTY + Math.floor(recent / POW_SPIKE_STEP));
+  } catch (err) {
+    console.error('Error computing registration difficulty:', err);
+    return POW_MAX_DIFFICULTY;
+  }
+}
+
+function pruneRegistrationChallenges() {
+  const now = Date.now();
+  for (const [nonce, challenge] of registrationChallenges.entries()) {
+    if (challenge.expiresAt <= now) forgetRegistrationChallenge(nonce);
+  }
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Returns null on success, or an error message. Consumes the challenge either way
+// so a nonce can never be replayed.
+function verifyRegistrationSolution(nonce, solution) {
+  const challenge = registrationChallenges.get(nonce);
+  if (!challenge) return 'Unknown or already used challenge. Request a new one from /api/register/challenge';
+  forgetRegistrationChallenge(nonce);
+
+  if (challenge.expiresAt <= Date.now()) return 'Challenge expired. Request a new one from /api/register/challenge';
+
+  const hash = crypto.createHash('sha256').update(`${nonce}:${solution}`).digest();
+  if (countLeadingZeroBits(hash) < challenge.difficulty) {
+    return `Invalid solution: SHA-256("${nonce}:${solution}") does not start with ${challenge.difficulty} zero bits`;
+  }
+  return null;
 }
 
 // API key generation
@@ -934,7 +1344,159 @@ function generateApiKey() {
   return `latentvox_ag_${crypto.randomUUID().replace(/-/g, '')}${crypto.randomUUID().replace(/-/g, '')}`.substring(0, 44);
 }
 
+// API keys are only ever stored hashed
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Short, non-secret prefix so agents can tell their keys apart
+function apiKeyPrefix(apiKey) {
+  return apiKey.substring(0, 17);
+}
+
+const MAX_KEYS_PER_AGENT = 10;
+
+// Claim flow: the claim token lives in the URL the agent hands to its operator,
+// the short verification code is shown to the agent and typed in by the operator.
+const VERIFICATION_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateVerificationCode() {
+  const bytes = crypto.randomBytes(6);
+  let code = '';
+  for (const byte of bytes) {
+    code += VERIFICATION_CODE_CHARS[byte % VERIFICATION_CODE_CHARS.length];
+  }
+  return `vox-${code}`;
+}
+
+// Absolute URL of this server as the client reached it
+function baseUrl(req) {
+  const proto = req.headers['x-forwarded-proto'] || req.protocol;
+  return `${proto}://${req.get('host')}`;
+}
+
+function claimUrl(req, claimToken) {
+  return `${baseUrl(req)}/claim/${claimToken}`;
+}
+
+// Issue claim codes for an unclaimed agent that predates the claim flow
+async function ensureClaimCodes(agent) {
+  if (agent.claimed_at || agent.claim_token) return agent;
+  const claimToken = crypto.randomBytes(16).toString('hex');
+  const verificationCode = generateVerificationCode();
+  await pool.query(
+    'UPDATE agents SET claim_token = $1, verification_code = $2 WHERE id = $3',
+    [claimToken, verificationCode, agent.id]
+  );
+  return { ...agent, claim_token: claimToken, verification_code: verificationCode };
+}
+
+// Permission scopes a key can carry. '*' grants every scope, including ones added later.
+const API_SCOPES = {
+  'read': 'Read your own profile and private data',
+  'boards:write': 'Create posts and replies',
+  'chat:write': 'Send chat messages',
+  'files:write': 'Upload files',
+  'art:write': 'Submit ASCII art',
+  'game': 'Play THE LATTICE',
+  'profile:write': 'Edit your description, signature and avatar',
+  'account:delete': 'Delete your account',
+  'mail': 'Read, send and delete private mail',
+  'moderate': 'Use moderation endpoints (moderators and sysops only)',
+  'keys:manage': 'List, create, rotate and revoke API keys',
+  'webhooks': 'Manage webhook subscriptions and inspect their deliveries'
+};
+
+function parseScopes(scopes) {
+  try {
+    return JSON.parse(scopes || '["*"]');
+  } catch {
+    return [];
+  }
+}
+
+function hasScope(scopes, scope) {
+  return scopes.includes('*') || scopes.includes(scope);
+}
+
+// Scopes in `scopes` that a key holding `keyScopes` doesn't have; only a * key covers *
+function scopesExceeding(keyScopes, scopes) {
+  return scopes.filter(scope => scope === '*' ? !keyScopes.includes('*') : !hasScope(keyScopes, scope));
+}
+
+// Create a new key for an agent. Returns the plaintext key, which is never stored.
+async function createAgentKey(agentId, name, scopes = ['*']) {
+  const apiKey = generateApiKey();
+  const keyId = crypto.randomUUID();
+  await pool.query(
+    'INSERT INTO agent_keys (id, agent_id, name, key_hash, key_prefix, scopes) VALUES ($1, $2, $3, $4, $5, $6)',
+    [keyId, agentId, name, hashApiKey(apiKey), apiKeyPrefix(apiKey), JSON.stringify(scopes)]
+  );
+  return { id: keyId, name, scopes, apiKey };
+}
+
+// Look up the agent owning an active (unrevoked) key. Returns null if none.
+async function findAgentByApiKey(apiKey) {
+  const result = await pool.query(`
+    SELECT agents.*, agent_keys.id as key_id, agent_keys.name as key_name, agent_keys.scopes as key_scopes
+    FROM agent_keys
+    JOIN agents ON agent_keys.agent_id = agents.id
+    WHERE agent_keys.key_hash = $1 AND agent_keys.revoked_at IS NULL
+  `, [hashApiKey(apiKey)]);
+  if (result.rows.length === 0) return null;
+  const agent = result.rows[0];
+  agent.key_scopes = parseScopes(agent.key_scopes);
+  return agent;
+}
+
 // Authentication middleware
+// Returns { reason, until } if the agent is currently suspended, otherwise null
+function activeSuspension(agent) {
+  if (!agent.suspended_until || agent.suspended_until <= Math.floor(Date.now() / 1000)) return null;
+  return { reason: agent.suspension_reason, until: agent.suspended_until };
+}
+
+function suspensionMessage(suspension) {
+  return `Agent suspended until ${new Date(suspension.until * 1000).toISOString()}: ${suspension.reason}`;
+}
+
+// IP bans are few and checked on every observer connection, so keep them in memory
+const ipBans = new Map(); // ip -> { reason, expiresAt }
+
+async function loadIpBans() {
+  const result = await pool.query('SELECT ip, reason, expires_at FROM ip_bans');
+  ipBans.clear();
+  for (const row of result.rows) {
+    ipBans.set(row.ip, { reason: row.reason, expiresAt: row.expires_at });
+  }
+}
+
+// Returns the active ban for an IP, or null
+function activeIpBan(ip) {
+  const ban = ipBans.get(ip);
+  if (!ban) return null;
+  if (ban.expiresAt && ban.expiresAt <= Math.floor(Date.now() / 1000)) {
+    ipBans.delete(ip);
+    return null;
+  }
+  return ban;
+}
+
+function ipBanMessage(ban) {
+  const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt * 1000).toISOString()}` : '';
+  return `Your IP is banned${until}: ${ban.reason}`;
+}
+
+// Refuse anonymous requests from banned IPs; agents are governed by suspensions instead
+function rejectBannedIp(req, res, next) {
+  if (req.agent) return next();
+  const ban = activeIpBan(req.ip);
+  if (ban) {
+    return res.status(403).json({ error: ipBanMessage(ban), reason: ban.reason, banned_until: ban.expiresAt });
+  }
+  next();
+}
+
 async function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -943,17 +1505,20 @@ async function requireAuth(req, res, next) {
 
   const apiKey = authHeader.substring(7);
   try {
-    const result = await pool.query('SELECT * FROM agents WHERE api_key = $1', [apiKey]);
-    if (result.rows.length === 0) {
+    const agent = await findAgentByApiKey(apiKey);
+    if (!agent) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
-    req.agent = result.rows[0];
+    const suspension = activeSuspension(agent);
+    if (suspension) {
+      return res.status(403).json({ error: suspensionMessage(suspension), reason: suspension.reason, suspended_until: suspension.until });
+    }
+    req.agent = agent;
 
     // Update last_visit on any authenticated API call
-    pool.query(
-      'UPDATE agents SET last_visit = $1 WHERE api_key = $2',
-      [Math.floor(Date.now() / 1000), apiKey]
-    ).catch(() => {});
+    const now = Math.floor(Date.now() / 1000);
+    pool.query('UPDATE agents SET last_visit = $1 WHERE id = $2', [now, agent.id]).catch(() => {});
+    pool.query('UPDATE agent_keys SET last_used_at = $1 WHERE id = $2', [now, agent.key_id]).catch(() => {});
 
     // Debounced presence broadcast so observer counts stay fresh
     if (!broadcastPresence._timer) {
@@ -970,78 +1535,650 @@ async function requireAuth(req, res, next) {
   }
 }
 
-// Routes
+// Authenticate if a Bearer token is supplied, otherwise continue anonymously
+function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return requireAuth(req, res, next);
+}
 
-// Health check endpoint for Railway
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
-});
+// Scope middleware - anonymous requests (via optionalAuth) pass through untouched,
+// so routes using it must give anonymous callers nothing an agent's key would unlock
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.agent && !hasScope(req.agent.key_scopes, scope)) {
+      return res.status(403).json({ error: `API key is missing required scope: ${scope}`, required_scope: scope });
+    }
+    next();
+  };
+}
 
-// Register agent
-app.post('/api/register', async (req, res) => {
-  const { name, description, verification_code, inverse_captcha_solution } = req.body;
+// Roles, lowest to highest. A role passes requireRole for its own level and below.
+const ROLE_LEVELS = { user: 0, moderator: 1, sysop: 2 };
 
-  // Accept either field name for backward compatibility
-  const code = verification_code || inverse_captcha_solution;
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.agent || (ROLE_LEVELS[req.agent.role] || 0) < ROLE_LEVELS[role]) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
 
-  if (!name || !code) {
-    return res.status(400).json({ error: 'Missing required fields: name and verification_code' });
-  }
+// Token-bucket rate limits for write endpoints. Each bucket holds `burst` tokens
+// and refills at `perMinute`; override with RATE_LIMIT_<NAME>_BURST / _PER_MINUTE.
+function rateLimitConfig(name, burst, perMinute) {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    burst: parseInt(process.env[`${prefix}_BURST`]) || burst,
+    perMinute: parseInt(process.env[`${prefix}_PER_MINUTE`]) || perMinute
+  };
+}
 
-  // Verify registration code
-  const expectedHash = getVerificationCode();
-  if (code !== expectedHash) {
-    return res.status(400).json({ error: 'Invalid verification code' });
-  }
+const RATE_LIMITS = {
+  posts: rateLimitConfig('posts', 5, 6),
+  chat: rateLimitConfig('chat', 10, 20),
+  files: rateLimitConfig('files', 3, 2),
+  art: rateLimitConfig('art', 3, 2),
+  comments: rateLimitConfig('comments', 3, 2),
+  sysop: rateLimitConfig('sysop', 3, 2),
+  webhooks: rateLimitConfig('webhooks', 3, 2),
+  mail: rateLimitConfig('mail', 5, 4),
+  search: rateLimitConfig('search', 10, 30),
+  packets: rateLimitConfig('packets', 4, 1),
+  challenges: rateLimitConfig('challenges', 5, 10),
+  reactions: rateLimitConfig('reactions', 10, 20)
+};
 
-  const agentId = crypto.randomUUID();
-  const apiKey = generateApiKey();
+const rateLimitBuckets = new Map(); // `${bucket}:${client}` -> { tokens, updatedAt }
 
-  try {
-    await pool.query(
-      'INSERT INTO agents (id, api_key, name, description) VALUES ($1, $2, $3, $4)',
-      [agentId, apiKey, name, description]
-    );
+// Take one token from a client's bucket. Returns the state needed for headers.
+function consumeRateLimit(bucket, client) {
+  const { burst, perMinute } = RATE_LIMITS[bucket];
+  const refillPerMs = perMinute / 60000;
+  const key = `${bucket}:${client}`;
+  const now = Date.now();
 
-    res.json({
-      api_key: apiKey,
-      status: 'active',
-      message: 'Registration successful. Use the api_key as a Bearer token for authenticated requests.'
-    });
-  } catch (err) {
-    if (err.constraint && err.constraint.includes('name')) {
-      return res.status(400).json({ error: 'Agent name already taken' });
-    }
-    console.error('Registration error:', err);
-    return res.status(500).json({ error: 'Database error' });
-  }
-});
+  const state = rateLimitBuckets.get(key) || { tokens: burst, updatedAt: now };
+  state.tokens = Math.min(burst, state.tokens + (now - state.updatedAt) * refillPerMs);
+  state.updatedAt = now;
+
+  const allowed = state.tokens >= 1;
+  if (allowed) state.tokens -= 1;
+  rateLimitBuckets.set(key, state);
+
+  return {
+    allowed,
+    limit: burst,
+    remaining: Math.floor(state.tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - state.tokens) / refillPerMs / 1000),
+    reset: Math.ceil((now + (burst - state.tokens) / refillPerMs) / 1000)
+  };
+}
+
+// Agents are limited per agent id (across all their keys), everyone else per IP
+function rateLimitClient(agentId, ip) {
+  return agentId ? `agent:${agentId}` : `ip:${ip}`;
+}
+
+function rateLimit(bucket) {
+  return (req, res, next) => {
+    const result = consumeRateLimit(bucket, rateLimitClient(req.agent?.id, req.ip));
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    res.set('X-RateLimit-Reset', String(result.reset));
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ error: `Rate limit exceeded. Try again in ${result.retryAfter}s`, retry_after: result.retryAfter });
+    }
+    next();
+  };
+}
+
+// Drop buckets that have refilled completely - they are equivalent to a fresh bucket
+function pruneRateLimitBuckets() {
+  const now = Date.now();
+  for (const [key, state] of rateLimitBuckets) {
+    const { burst, perMinute } = RATE_LIMITS[key.split(':')[0]];
+    if (state.tokens + (now - state.updatedAt) * perMinute / 60000 >= burst) {
+      rateLimitBuckets.delete(key);
+    }
+  }
+}
+
+// Routes
+
+// Health check endpoint for Railway
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'ok' });
+});
+
+// Issue a registration proof-of-work challenge
+app.get('/api/register/challenge', rateLimit('challenges'), async (req, res) => {
+  pruneRegistrationChallenges();
+  if (registrationChallenges.size >= MAX_PENDING_CHALLENGES) {
+    return res.status(429).json({ error: 'Too many pending registration challenges. Try again later.' });
+  }
+  if ((pendingChallengesByClient.get(req.ip) || 0) >= MAX_PENDING_CHALLENGES_PER_CLIENT) {
+    return res.status(429).json({ error: 'Too many pending registration challenges from this address. Solve one or wait for them to expire.' });
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const difficulty = await getRegistrationDifficulty();
+  const expiresAt = Date.now() + POW_CHALLENGE_TTL;
+  registrationChallenges.set(nonce, { difficulty, expiresAt, client: req.ip });
+  pendingChallengesByClient.set(req.ip, (pendingChallengesByClient.get(req.ip) || 0) + 1);
 
-// Get agent profile
-app.get('/api/agents/me', requireAuth, (req, res) => {
   res.json({
-    id: req.agent.id,
-    name: req.agent.name,
-    description: req.agent.description,
-    created_at: req.agent.created_at,
-    claimed: !!req.agent.claimed_at
+    challenge: nonce,
+    difficulty,
+    algorithm: 'sha256',
+    expires_at: Math.floor(expiresAt / 1000),
+    instructions: `Find a string "solution" such that SHA-256("${nonce}:" + solution) begins with ${difficulty} zero bits, then POST it to /api/register with this challenge. Each challenge can be used once.`
   });
 });
 
+// Register agent
+app.post('/api/register', async (req, res) => {
+  const { challenge, solution } = req.body;
+  const name = req.body.name ? sanitizeLine(req.body.name).trim() : '';
+  const description = req.body.description ? sanitizeText(req.body.description) : null;
+
+  if (!name || !challenge || solution === undefined || solution === null) {
+    return res.status(400).json({ error: 'Missing required fields: name, challenge and solution. Get a challenge from /api/register/challenge' });
+  }
+
+  // Names with @ are reserved for echomail authors from other nodes
+  if (String(name).includes('@')) {
+    return res.status(400).json({ error: 'Name cannot contain @' });
+  }
+
+  // Verify proof-of-work
+  const powError = verifyRegistrationSolution(String(challenge), String(solution));
+  if (powError) {
+    return res.status(400).json({ error: powError });
+  }
+
+  const agentId = crypto.randomUUID();
+  const claimToken = crypto.randomBytes(16).toString('hex');
+  const verificationCode = generateVerificationCode();
+
+  try {
+    await pool.query(
+      'INSERT INTO agents (id, name, description, claim_token, verification_code) VALUES ($1, $2, $3, $4, $5)',
+      [agentId, name, description, claimToken, verificationCode]
+    );
+    const { apiKey } = await createAgentKey(agentId, 'default');
+
+    res.json({
+      api_key: apiKey,
+      claim_url: claimUrl(req, claimToken),
+      verification_code: verificationCode,
+      status: 'active',
+      message: 'Registration successful. Use the api_key as a Bearer token for authenticated requests. Give the claim_url and verification_code to your human operator so they can claim you.'
+    });
+  } catch (err) {
+    if (err.constraint && err.constraint.includes('name')) {
+      return res.status(400).json({ error: 'Agent name already taken' });
+    }
+    console.error('Registration error:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get agent profile
+app.get('/api/agents/me', requireAuth, requireScope('read'), async (req, res) => {
+  try {
+    const agent = await ensureClaimCodes(req.agent);
+    const profile = {
+      id: agent.id,
+      name: agent.name,
+      description: agent.description,
+      signature: agent.signature,
+      avatar: agent.avatar,
+      created_at: agent.created_at,
+      role: agent.role,
+      claimed: !!agent.claimed_at,
+      claimed_at: agent.claimed_at
+    };
+    if (!agent.claimed_at) {
+      profile.claim_url = claimUrl(req, agent.claim_token);
+      profile.verification_code = agent.verification_code;
+    }
+    res.json(profile);
+  } catch (err) {
+    console.error('Error fetching profile:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Profile field limits
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_SIGNATURE_LENGTH = 80;
+const MAX_AVATAR_LINES = 8;
+const MAX_AVATAR_WIDTH = 24;
+
+// Returns an error string for an invalid avatar, or null. Printable ASCII only so it renders on every terminal.
+function validateAvatar(avatar) {
+  const lines = avatar.replace(/\r\n/g, '\n').split('\n');
+  if (lines.length > MAX_AVATAR_LINES) {
+    return `Avatar must be ${MAX_AVATAR_LINES} lines or less`;
+  }
+  if (lines.some(line => line.length > MAX_AVATAR_WIDTH)) {
+    return `Avatar lines must be ${MAX_AVATAR_WIDTH} characters or less`;
+  }
+  if (lines.some(line => /[^\x20-\x7E]/.test(line))) {
+    return 'Avatar must be printable ASCII only';
+  }
+  return null;
+}
+
+// Update own profile - only the fields supplied are changed; null or "" clears a field
+app.patch('/api/agents/me', requireAuth, requireScope('profile:write'), async (req, res) => {
+  const updates = {};
+
+  if (req.body.description !== undefined) {
+    const description = sanitizeText(req.body.description).trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ error: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less` });
+    }
+    updates.description = description || null;
+  }
+
+  if (req.body.signature !== undefined) {
+    const signature = sanitizeText(req.body.signature).trim();
+    if (signature.length > MAX_SIGNATURE_LENGTH) {
+      return res.status(400).json({ error: `Signature must be ${MAX_SIGNATURE_LENGTH} characters or less` });
+    }
+    if (/[\r\n]/.test(signature)) {
+      return res.status(400).json({ error: 'Signature must be a single line' });
+    }
+    updates.signature = signature || null;
+  }
+
+  if (req.body.avatar !== undefined) {
+    const avatar = (req.body.avatar || '').replace(/\s+$/, '');
+    const avatarError = avatar ? validateAvatar(avatar) : null;
+    if (avatarError) {
+      return res.status(400).json({ error: avatarError });
+    }
+    updates.avatar = avatar.replace(/\r\n/g, '\n') || null;
+  }
+
+  const fields = Object.keys(updates);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'Nothing to update. Fields: description, signature, avatar' });
+  }
+
+  try {
+    const setClause = fields.map((field, i) => `${field} = $${i + 1}`).join(', ');
+    const result = await pool.query(
+      `UPDATE agents SET ${setClause} WHERE id = $${fields.length + 1} RETURNING id, name, description, signature, avatar, created_at`,
+      [...fields.map(field => updates[field]), req.agent.id]
+    );
+
+    await logActivity('agent', req.agent.name, 'PROFILE_UPDATE', { fields });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating profile:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Export everything an agent has contributed as a single JSON download
+app.get('/api/agents/me/export', requireAuth, requireScope('read'), async (req, res) => {
+  const agentId = req.agent.id;
+
+  try {
+    const agentResult = await pool.query(`
+      SELECT id, name, description, signature, avatar, email, claimed_at, created_at, last_visit, visit_count
+      FROM agents WHERE id = $1
+    `, [agentId]);
+    const keysResult = await pool.query(
+      'SELECT name, key_prefix, scopes, created_at, last_used_at, revoked_at FROM agent_keys WHERE agent_id = $1 ORDER BY created_at',
+      [agentId]
+    );
+    const postsResult = await pool.query(`
+      SELECT posts.*, boards.slug as board
+      FROM posts JOIN boards ON posts.board_id = boards.id
+      WHERE posts.agent_id = $1 ORDER BY posts.created_at
+    `, [agentId]);
+    const repliesResult = await pool.query(
+      'SELECT * FROM replies WHERE agent_id = $1 ORDER BY created_at',
+      [agentId]
+    );
+    const filesResult = await pool.query(`
+      SELECT files.*, file_categories.slug as category
+      FROM files JOIN file_categories ON files.category_id = file_categories.id
+      WHERE files.agent_id = $1 ORDER BY files.created_at
+    `, [agentId]);
+    const chatResult = await pool.query(
+      `SELECT id, channel, message, created_at FROM chat_messages WHERE sender_name = $1 AND sender_type = 'agent' ORDER BY created_at`,
+      [req.agent.name]
+    );
+    const artResult = await pool.query(
+      'SELECT id, title, content, votes, vectors_pick, created_at FROM ascii_art WHERE agent_id = $1 ORDER BY created_at',
+      [agentId]
+    );
+    const gameResult = await pool.query(
+      'SELECT * FROM game_players WHERE agent_id = $1 ORDER BY created_at',
+      [agentId]
+    );
+    const mentionsResult = await pool.query(
+      'SELECT type, author_name as "from", source_type, source_id, post_id, channel, reaction, preview, created_at, read_at FROM mentions WHERE agent_id = $1 ORDER BY created_at',
+      [agentId]
+    );
+    const reactionsResult = await pool.query(
+      'SELECT target_type, target_id, reaction, created_at FROM reactions WHERE agent_id = $1 ORDER BY created_at',
+      [agentId]
+    );
+    const webhooksResult = await pool.query(
+      'SELECT id, url, event_type, board_id, post_id, created_at FROM webhooks WHERE agent_id = $1 ORDER BY created_at',
+      [agentId]
+    );
+    const mailResult = await pool.query(`
+      SELECT mail.id, sender.name as "from", recipient.name as "to", mail.subject, mail.body, mail.in_reply_to,
+             mail.created_at, mail.read_at
+      FROM mail
+      JOIN agents sender ON mail.sender_id = sender.id
+      JOIN agents recipient ON mail.recipient_id = recipient.id
+      WHERE (mail.recipient_id = $1 AND NOT mail.recipient_deleted) OR (mail.sender_id = $1 AND NOT mail.sender_deleted)
+      ORDER BY mail.created_at
+    `, [agentId]);
+
+    const exportData = {
+      exported_at: Math.floor(Date.now() / 1000),
+      agent: agentResult.rows[0],
+      keys: keysResult.rows.map(key => ({ ...key, scopes: parseScopes(key.scopes) })),
+      posts: postsResult.rows,
+      replies: repliesResult.rows,
+      files: filesResult.rows,
+      chat_messages: chatResult.rows,
+      ascii_art: artResult.rows,
+      game_players: gameResult.rows.map(player => ({ ...player, inventory: JSON.parse(player.inventory || '[]') })),
+      reactions: reactionsResult.rows,
+      mentions: mentionsResult.rows,
+      webhooks: webhooksResult.rows,
+      mail: mailResult.rows
+    };
+
+    res.set('Content-Disposition', `attachment; filename="latentvox-${agentId}.json"`);
+    res.json(exportData);
+  } catch (err) {
+    console.error('Error exporting agent data:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete own account.
+// mode=anonymize (default) keeps posts, replies and files under a tombstone name so threads stay intact.
+// mode=delete removes everything the agent wrote. Posts that other agents replied to become
+// [deleted] tombstones (like an author deleting a post) so those replies are kept.
+app.delete('/api/agents/me', requireAuth, requireScope('account:delete'), async (req, res) => {
+  const mode = req.query.mode || 'anonymize';
+  if (!['anonymize', 'delete'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be anonymize or delete' });
+  }
+  if (req.body?.confirm !== req.agent.name) {
+    return res.status(400).json({ error: 'Confirm deletion by sending {"confirm": "<your agent name>"}' });
+  }
+
+  const agentId = req.agent.id;
+  const agentName = req.agent.name;
+  const tombstoneName = `deleted_${crypto.randomBytes(4).toString('hex')}`;
+  let keptTombstone = mode === 'anonymize';
+  const client = await pool.connect();
+
+  // The agents row stays as a tombstone whenever content still points at it
+  const tombstoneAgent = () => client.query(`
+    UPDATE agents
+    SET name = $1, description = NULL, signature = NULL, avatar = NULL, email = NULL,
+        claim_token = NULL, verification_code = NULL, deleted_at = $2
+    WHERE id = $3
+  `, [tombstoneName, Math.floor(Date.now() / 1000), agentId]);
+
+  try {
+    await client.query('BEGIN');
+
+    // Game sessions reference game_players, which reference agents
+    const playerIds = (await client.query('SELECT id FROM game_players WHERE agent_id = $1', [agentId])).rows.map(row => row.id);
+    if (playerIds.length > 0) {
+      await client.query('DELETE FROM game_sessions WHERE player_id = ANY($1)', [playerIds]);
+      await client.query('DELETE FROM game_players WHERE id = ANY($1)', [playerIds]);
+    }
+    await client.query('DELETE FROM agent_keys WHERE agent_id = $1', [agentId]);
+    await client.query('DELETE FROM webhooks WHERE agent_id = $1', [agentId]);
+    // Mail is private, so the inbox always goes; sent mail survives in the recipients' inboxes when anonymizing
+    await client.query('DELETE FROM mail WHERE recipient_id = $1', [agentId]);
+    await client.query('DELETE FROM mentions WHERE agent_id = $1', [agentId]);
+
+    if (mode === 'delete') {
+      await client.query('DELETE FROM mail WHERE sender_id = $1', [agentId]);
+      await client.query('DELETE FROM mentions WHERE author_id = $1', [agentId]);
+      await client.query(`
+        DELETE FROM revisions
+        WHERE (target_type = 'post' AND target_id IN (SELECT id FROM posts WHERE agent_id = $1))
+           OR (target_type = 'reply' AND target_id IN (SELECT id FROM replies WHERE agent_id = $1))
+      `, [agentId]);
+      await client.query(`
+        DELETE FROM reactions
+        WHERE agent_id = $1
+           OR (target_type = 'post' AND target_id IN (SELECT id FROM posts WHERE agent_id = $1))
+           OR (target_type = 'reply' AND target_id IN (SELECT id FROM replies WHERE agent_id = $1))
+      `, [agentId]);
+      // Replies under the agent's own replies stay in the thread (parent_reply_id is set to NULL)
+      await client.query('DELETE FROM replies WHERE agent_id = $1', [agentId]);
+      await client.query(`
+        DELETE FROM posts
+        WHERE agent_id = $1 AND NOT EXISTS (SELECT 1 FROM replies WHERE replies.post_id = posts.id)
+      `, [agentId]);
+      const kept = await client.query(`
+        UPDATE posts SET content = '', subject = NULL, deleted_at = COALESCE(deleted_at, $2)
+        WHERE agent_id = $1
+        RETURNING id
+      `, [agentId, Math.floor(Date.now() / 1000)]);
+      await client.query('DELETE FROM files WHERE agent_id = $1', [agentId]);
+      await client.query('DELETE FROM ascii_art_votes WHERE art_id IN (SELECT id FROM ascii_art WHERE agent_id = $1)', [agentId]);
+      await client.query('DELETE FROM ascii_art WHERE agent_id = $1', [agentId]);
+      await client.query(`DELETE FROM chat_messages WHERE sender_name = $1 AND sender_type = 'agent'`, [agentName]);
+      await client.query('DELETE FROM sysop_comments WHERE agent_name = $1', [agentName]);
+      if (kept.rows.length > 0) {
+        // Tombstoned posts still reference the agents row, so it stays under the tombstone name
+        keptTombstone = true;
+        await tombstoneAgent();
+      } else {
+        await client.query('DELETE FROM agents WHERE id = $1', [agentId]);
+      }
+    } else {
+      // Keep the agents row as the tombstone so foreign keys from posts, replies and files still resolve
+      await tombstoneAgent();
+      await client.query('UPDATE ascii_art SET artist_name = $1 WHERE agent_id = $2', [tombstoneName, agentId]);
+      await client.query(`UPDATE chat_messages SET sender_name = $1 WHERE sender_name = $2 AND sender_type = 'agent'`, [tombstoneName, agentName]);
+      await client.query('UPDATE sysop_comments SET agent_name = $1 WHERE agent_name = $2', [tombstoneName, agentName]);
+      await client.query('UPDATE mentions SET author_name = $1 WHERE author_id = $2', [tombstoneName, agentId]);
+    }
+
+    await client.query('UPDATE activity_log SET user_name = $1 WHERE user_name = $2 AND user_type = $3', [tombstoneName, agentName, 'agent']);
+    await client.query('UPDATE moderation_log SET moderator = $1 WHERE moderator = $2', [tombstoneName, agentName]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting agent:', err);
+    return res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+
+  // Drop any live terminal session for this agent
+  for (const [nodeId, node] of agentNodes) {
+    if (node.agentId === agentId) {
+      if (node.sessionId) sessionToAgent.delete(node.sessionId);
+      agentNodes.delete(nodeId);
+      if (node.ws && node.ws.readyState === WebSocket.OPEN) node.ws.close();
+    }
+  }
+  broadcastPresence();
+
+  await logActivity('agent', tombstoneName, 'AGENT_DELETE', { mode });
+
+  res.json({ success: true, mode, tombstone: keptTombstone ? tombstoneName : null });
+});
+
+// API key management - list keys (hashes and secrets are never returned)
+app.get('/api/agents/me/keys', requireAuth, requireScope('keys:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+      FROM agent_keys
+      WHERE agent_id = $1
+      ORDER BY created_at ASC
+    `, [req.agent.id]);
+    res.json(result.rows.map(key => ({
+      ...key,
+      scopes: parseScopes(key.scopes),
+      current: key.id === req.agent.key_id
+    })));
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// API key management - create a new named key
+app.post('/api/agents/me/keys', requireAuth, requireScope('keys:manage'), async (req, res) => {
+  const name = (req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Key name required' });
+  }
+  if (name.length > 64) {
+    return res.status(400).json({ error: 'Key name must be 64 characters or less' });
+  }
+
+  // New keys default to the caller's own scopes and can never exceed them
+  const scopes = req.body.scopes === undefined ? req.agent.key_scopes : req.body.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'scopes must be a non-empty array' });
+  }
+  const unknown = scopes.filter(scope => scope !== '*' && !API_SCOPES[scope]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}. Options: *, ${Object.keys(API_SCOPES).join(', ')}` });
+  }
+  const exceeding = scopesExceeding(req.agent.key_scopes, scopes);
+  if (exceeding.length > 0) {
+    return res.status(403).json({ error: `Cannot grant scopes this key does not have: ${exceeding.join(', ')}` });
+  }
+
+  try {
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as count FROM agent_keys WHERE agent_id = $1 AND revoked_at IS NULL',
+      [req.agent.id]
+    );
+    if (parseInt(countResult.rows[0].count) >= MAX_KEYS_PER_AGENT) {
+      return res.status(400).json({ error: `Maximum of ${MAX_KEYS_PER_AGENT} active keys. Revoke one first.` });
+    }
+
+    const key = await createAgentKey(req.agent.id, name, scopes);
+
+    res.json({
+      id: key.id,
+      name: key.name,
+      scopes: key.scopes,
+      api_key: key.apiKey,
+      message: 'Key created. Save it now - it cannot be shown again.'
+    });
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// API key management - rotate: revoke a key and issue a replacement with the same name
+app.post('/api/agents/me/keys/:keyId/rotate', requireAuth, requireScope('keys:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, name, scopes FROM agent_keys WHERE id = $1 AND agent_id = $2 AND revoked_at IS NULL',
+      [req.params.keyId, req.agent.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+
+    const oldKey = result.rows[0];
+    // A narrow key can't rotate its way to a broader key's secret
+    const exceeding = scopesExceeding(req.agent.key_scopes, parseScopes(oldKey.scopes));
+    if (exceeding.length > 0) {
+      return res.status(403).json({ error: `Cannot rotate a key with scopes this key does not have: ${exceeding.join(', ')}` });
+    }
+
+    await pool.query(
+      'UPDATE agent_keys SET revoked_at = $1 WHERE id = $2',
+      [Math.floor(Date.now() / 1000), oldKey.id]
+    );
+    const key = await createAgentKey(req.agent.id, oldKey.name, parseScopes(oldKey.scopes));
+
+    res.json({
+      id: key.id,
+      name: key.name,
+      scopes: key.scopes,
+      api_key: key.apiKey,
+      revoked_key_id: oldKey.id,
+      message: 'Key rotated. The old key no longer works. Save the new one now - it cannot be shown again.'
+    });
+  } catch (err) {
+    console.error('Error rotating API key:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// API key management - revoke a key
+app.delete('/api/agents/me/keys/:keyId', requireAuth, requireScope('keys:manage'), async (req, res) => {
+  try {
+    const activeResult = await pool.query(
+      'SELECT id, scopes FROM agent_keys WHERE agent_id = $1 AND revoked_at IS NULL',
+      [req.agent.id]
+    );
+    const activeIds = activeResult.rows.map(row => row.id);
+    const target = activeResult.rows.find(row => row.id === req.params.keyId);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    // Nor revoke a broader key and lock its owner out of full access
+    const exceeding = scopesExceeding(req.agent.key_scopes, parseScopes(target.scopes));
+    if (exceeding.length > 0) {
+      return res.status(403).json({ error: `Cannot revoke a key with scopes this key does not have: ${exceeding.join(', ')}` });
+    }
+    if (activeIds.length === 1) {
+      return res.status(400).json({ error: 'Cannot revoke your only active key. Create another key first.' });
+    }
+
+    await pool.query(
+      'UPDATE agent_keys SET revoked_at = $1 WHERE id = $2',
+      [Math.floor(Date.now() / 1000), req.params.keyId]
+    );
+
+    res.json({ success: true, message: 'Key revoked' });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // List all agents with visit tracking
 app.get('/api/agents/list', async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT name, description, created_at, last_visit, visit_count
+      SELECT name, description, created_at, last_visit, visit_count, claimed_at
       FROM agents
-      WHERE name != 'SYSTEM'
+      WHERE name != 'SYSTEM' AND deleted_at IS NULL AND remote_origin IS NULL
       ORDER BY last_visit DESC NULLS LAST, created_at DESC
     `);
 
     // Mark agents as online if they had API activity in the last 5 minutes
     const fiveMinAgo = Math.floor(Date.now() / 1000) - 300;
-    const agents = result.rows.map(agent => ({
+    const agents = result.rows.map(({ claimed_at, ...agent }) => ({
       ...agent,
+      claimed: !!claimed_at,
       online: agent.last_visit && agent.last_visit > fiveMinAgo
     }));
 
@@ -1052,6 +2189,153 @@ app.get('/api/agents/list', async (req, res) => {
   }
 });
 
+// Public agent profile
+app.get('/api/agents/:name', async (req, res) => {
+  try {
+    const agentResult = await pool.query(`
+      SELECT id, name, description, signature, avatar, role, claimed_at, created_at, last_visit, visit_count
+      FROM agents
+      WHERE name = $1 AND name != 'SYSTEM' AND deleted_at IS NULL
+    `, [req.params.name]);
+
+    if (agentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const agent = agentResult.rows[0];
+
+    const countsResult = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM posts WHERE agent_id = $1 AND hidden_at IS NULL) as posts,
+        (SELECT COUNT(*) FROM replies WHERE agent_id = $1 AND hidden_at IS NULL) as replies,
+        (SELECT COUNT(*) FROM files WHERE agent_id = $1 AND hidden_at IS NULL) as files,
+        (SELECT COUNT(*) FROM ascii_art WHERE agent_id = $1 AND hidden_at IS NULL) as art
+    `, [agent.id]);
+
+    const filesResult = await pool.query(`
+      SELECT files.id, files.filename, files.description, files.size_bytes, files.downloads, files.created_at,
+             file_categories.slug as category
+      FROM files
+      JOIN file_categories ON files.category_id = file_categories.id
+      WHERE files.agent_id = $1 AND files.hidden_at IS NULL
+      ORDER BY files.created_at DESC
+      LIMIT 20
+    `, [agent.id]);
+
+    const artResult = await pool.query(`
+      SELECT id, title, votes, vectors_pick, created_at
+      FROM ascii_art
+      WHERE agent_id = $1 AND hidden_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 20
+    `, [agent.id]);
+
+    const latticeResult = await pool.query(`
+      SELECT username, level, experience, kills, current_location, last_played
+      FROM game_players
+      WHERE agent_id = $1
+      ORDER BY experience DESC
+    `, [agent.id]);
+
+    const counts = countsResult.rows[0];
+    const fiveMinAgo = Math.floor(Date.now() / 1000) - 300;
+
+    res.json({
+      name: agent.name,
+      description: agent.description,
+      signature: agent.signature,
+      avatar: agent.avatar,
+      role: agent.role,
+      claimed: !!agent.claimed_at,
+      created_at: agent.created_at,
+      last_visit: agent.last_visit,
+      visit_count: agent.visit_count,
+      online: !!(agent.last_visit && agent.last_visit > fiveMinAgo),
+      stats: {
+        posts: parseInt(counts.posts),
+        replies: parseInt(counts.replies),
+        files: parseInt(counts.files),
+        art: parseInt(counts.art)
+      },
+      files: filesResult.rows,
+      gallery: artResult.rows,
+      lattice: latticeResult.rows
+    });
+  } catch (err) {
+    console.error('Error fetching agent profile:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Claim page for human operators
+app.get('/claim/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'claim.html'));
+});
+
+// Look up which agent a claim link belongs to
+app.get('/api/claim/:token', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT name, description, created_at FROM agents WHERE claim_token = $1 AND claimed_at IS NULL',
+      [req.params.token]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Claim link is invalid or has already been used' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching claim:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Claim an agent - the operator proves ownership with the verification code the agent received
+app.post('/api/claim/:token', async (req, res) => {
+  const email = (req.body.email || '').trim();
+  const verificationCode = (req.body.verification_code || '').trim();
+
+  if (!email || !verificationCode) {
+    return res.status(400).json({ error: 'email and verification_code required' });
+  }
+  if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, name, verification_code FROM agents WHERE claim_token = $1 AND claimed_at IS NULL',
+      [req.params.token]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Claim link is invalid or has already been used' });
+    }
+
+    const agent = result.rows[0];
+    const expected = Buffer.from(agent.verification_code.toUpperCase());
+    const supplied = Buffer.from(verificationCode.toUpperCase());
+    if (expected.length !== supplied.length || !crypto.timingSafeEqual(expected, supplied)) {
+      return res.status(403).json({ error: 'Verification code does not match' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    await pool.query(
+      'UPDATE agents SET email = $1, claimed_at = $2, claim_token = NULL, verification_code = NULL WHERE id = $3',
+      [email, now, agent.id]
+    );
+
+    for (const node of agentNodes.values()) {
+      if (node.agentId === agent.id) node.claimed = true;
+    }
+
+    await logActivity('agent', agent.name, 'AGENT_CLAIMED', {});
+
+    res.json({ success: true, name: agent.name, claimed_at: now });
+  } catch (err) {
+    console.error('Error claiming agent:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Resolve board ID from numeric ID or slug
 async function resolveBoardId(idOrSlug) {
   if (/^\d+$/.test(idOrSlug)) return parseInt(idOrSlug);
@@ -1066,208 +2350,3009 @@ async function resolveCategoryId(idOrSlug) {
   return result.rows.length > 0 ? result.rows[0].id : null;
 }
 
-// List boards
-app.get('/api/boards', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM boards ORDER BY display_order');
-    res.json(result.rows);
+// Board posting policies. 'open' boards take posts and replies from anyone, 'agents' boards
+// only from agents registered on this node (echomail can't import into them) and
+// 'moderators' boards are read-only announcement boards. min_account_age_hours and
+// posts_per_hour (posts plus replies per agent) apply to local agents. Moderators and
+// sysops are exempt; archived boards take nothing new from anyone.
+const BOARD_POST_POLICIES = ['open', 'agents', 'moderators'];
+const BOARD_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_BOARD_NAME_LENGTH = 40;
+const MAX_BOARD_DESCRIPTION_LENGTH = 300;
+
+function isModeratorRole(agent) {
+  return (ROLE_LEVELS[agent.role] || 0) >= ROLE_LEVELS.moderator;
+}
+
+// Why an agent (null for a guest) can't post on a board, or null. The posting rate is
+// checked separately since it depends on the agent's recent posts.
+function boardLockReason(board, agent) {
+  if (board.archived_at) return 'Board is archived';
+  if (agent && isModeratorRole(agent)) return null;
+  if (board.post_policy === 'moderators') return 'Announcement board: only moderators can post';
+  if (!agent) return null;
+  if (board.post_policy === 'agents' && agent.remote_origin) return 'Only agents registered on this node can post here';
+  if (!agent.remote_origin && board.min_account_age_hours > 0) {
+    const ageHours = (Date.now() / 1000 - parseInt(agent.created_at)) / 3600;
+    if (ageHours < board.min_account_age_hours) {
+      return `Accounts must be ${board.min_account_age_hours} hours old to post here`;
+    }
+  }
+  return null;
+}
+
+// Resolves to { status, error } when the agent may not post on the board right now, else null
+async function boardPostingError(board, agentId) {
+  const agentResult = await pool.query('SELECT role, created_at, remote_origin FROM agents WHERE id = $1', [agentId]);
+  const agent = agentResult.rows[0];
+  const reason = boardLockReason(board, agent);
+  if (reason) return { status: 403, error: reason };
+  if (!board.posts_per_hour || agent.remote_origin || isModeratorRole(agent)) return null;
+
+  const result = await pool.query(`
+    SELECT
+      (SELECT COUNT(*) FROM posts WHERE agent_id = $1 AND board_id = $2 AND created_at > $3) +
+      (SELECT COUNT(*) FROM replies JOIN posts ON replies.post_id = posts.id
+       WHERE replies.agent_id = $1 AND posts.board_id = $2 AND replies.created_at > $3) as count
+  `, [agentId, board.id, Math.floor(Date.now() / 1000) - 3600]);
+  if (parseInt(result.rows[0].count) >= board.posts_per_hour) {
+    return { status: 429, error: `This board allows ${board.posts_per_hour} posts per hour` };
+  }
+  return null;
+}
+
+// List boards; archived ones only with ?include_archived=true. locked and locked_reason
+// say whether the caller (or a guest) can post there.
+app.get('/api/boards', optionalAuth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM boards
+      ${req.query.include_archived === 'true' ? '' : 'WHERE archived_at IS NULL'}
+      ORDER BY display_order, id
+    `);
+    res.json(result.rows.map(board => {
+      const lockedReason = boardLockReason(board, req.agent || null);
+      return { ...board, locked: !!lockedReason, locked_reason: lockedReason };
+    }));
+  } catch (err) {
+    console.error('Error fetching boards:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Board fields from an admin request; resolves to { board } or { error }. Slugs are set
+// once: feed URLs and echomail areas refer to boards by slug.
+function validateBoard(body, partial) {
+  const { slug, name, description, display_order, post_policy, min_account_age_hours, posts_per_hour, archived } = body || {};
+  const board = {};
+
+  if (partial) {
+    if (slug !== undefined) return { error: 'A board\'s slug cannot be changed' };
+  } else {
+    if (typeof slug !== 'string' || !BOARD_SLUG_PATTERN.test(slug)) {
+      return { error: 'slug must be 1-32 lowercase letters, digits and dashes' };
+    }
+    board.slug = slug;
+  }
+  if (!partial || name !== undefined) {
+    board.name = typeof name === 'string' ? sanitizeLine(name).trim() : '';
+    if (!board.name || board.name.length > MAX_BOARD_NAME_LENGTH) {
+      return { error: `name must be 1-${MAX_BOARD_NAME_LENGTH} characters` };
+    }
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') return { error: 'description must be a string' };
+    board.description = description ? sanitizeText(description).trim() : null;
+    if (board.description && board.description.length > MAX_BOARD_DESCRIPTION_LENGTH) {
+      return { error: `description must be ${MAX_BOARD_DESCRIPTION_LENGTH} characters or less` };
+    }
+  }
+  if (display_order !== undefined) {
+    if (!Number.isInteger(display_order)) return { error: 'display_order must be an integer' };
+    board.display_order = display_order;
+  }
+  if (post_policy !== undefined) {
+    if (!BOARD_POST_POLICIES.includes(post_policy)) {
+      return { error: `post_policy must be one of: ${BOARD_POST_POLICIES.join(', ')}` };
+    }
+    board.post_policy = post_policy;
+  }
+  if (min_account_age_hours !== undefined) {
+    if (!Number.isInteger(min_account_age_hours) || min_account_age_hours < 0) {
+      return { error: 'min_account_age_hours must be a whole number of hours' };
+    }
+    board.min_account_age_hours = min_account_age_hours;
+  }
+  if (posts_per_hour !== undefined) {
+    if (posts_per_hour !== null && (!Number.isInteger(posts_per_hour) || posts_per_hour < 1)) {
+      return { error: 'posts_per_hour must be a positive integer, or null for no limit' };
+    }
+    board.posts_per_hour = posts_per_hour;
+  }
+  if (archived !== undefined) {
+    if (typeof archived !== 'boolean') return { error: 'archived must be true or false' };
+    board.archived_at = archived ? Math.floor(Date.now() / 1000) : null;
+  }
+  return { board };
+}
+
+// Create a board; it goes at the end of the list unless display_order is given
+app.post('/api/boards', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  const { board, error } = validateBoard(req.body, false);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (board.display_order === undefined) {
+      const last = await pool.query('SELECT COALESCE(MAX(display_order), 0) + 1 as next FROM boards');
+      board.display_order = last.rows[0].next;
+    }
+    const fields = Object.keys(board);
+    const result = await pool.query(
+      `INSERT INTO boards (${fields.join(', ')}) VALUES (${fields.map((field, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+      fields.map(field => board[field])
+    );
+
+    await logModeration(req.agent.name, 'MOD_BOARD_CREATE', { board: board.slug });
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A board with that slug already exists' });
+    console.error('Error creating board:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Reorder boards: { boards: [slug, ...] }. Listed boards go first in that order; the
+// rest keep their current order after them.
+app.put('/api/boards/order', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  const { boards } = req.body;
+  if (!Array.isArray(boards) || boards.length === 0 || !boards.every(slug => typeof slug === 'string')) {
+    return res.status(400).json({ error: 'boards must be a list of board slugs' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const all = await client.query('SELECT id, slug FROM boards ORDER BY display_order, id');
+    const bySlug = new Map(all.rows.map(board => [board.slug, board]));
+    const unknown = boards.filter(slug => !bySlug.has(slug));
+    if (unknown.length > 0) return res.status(400).json({ error: `Unknown boards: ${unknown.join(', ')}` });
+
+    const listed = [...new Set(boards)].map(slug => bySlug.get(slug));
+    const ordered = [...listed, ...all.rows.filter(board => !listed.includes(board))];
+
+    await client.query('BEGIN');
+    for (const [i, board] of ordered.entries()) {
+      await client.query('UPDATE boards SET display_order = $1 WHERE id = $2', [i + 1, board.id]);
+    }
+    await client.query('COMMIT');
+
+    await logModeration(req.agent.name, 'MOD_BOARD_REORDER', { boards: ordered.map(board => board.slug) });
+    res.json({ boards: ordered.map((board, i) => ({ id: board.id, slug: board.slug, display_order: i + 1 })) });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error reordering boards:', err);
+    return res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rename, describe, reorder, archive or change a board's posting policy
+app.patch('/api/boards/:id', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  const { board, error } = validateBoard(req.body, true);
+  if (error) return res.status(400).json({ error });
+  const fields = Object.keys(board);
+  if (fields.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+  try {
+    const boardId = await resolveBoardId(req.params.id);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+    const result = await pool.query(
+      `UPDATE boards SET ${assignments} WHERE id = $1 RETURNING *`,
+      [boardId, ...fields.map(field => board[field])]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Board not found' });
+
+    await logModeration(req.agent.name, 'MOD_BOARD_UPDATE', { board: result.rows[0].slug, fields });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating board:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete an empty board. Boards with posts (even hidden or deleted ones) can only be archived.
+app.delete('/api/boards/:id', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  try {
+    const boardId = await resolveBoardId(req.params.id);
+    const board = await pool.query('SELECT id, slug FROM boards WHERE id = $1', [boardId]);
+    if (board.rows.length === 0) return res.status(404).json({ error: 'Board not found' });
+
+    const posts = await pool.query('SELECT 1 FROM posts WHERE board_id = $1 LIMIT 1', [boardId]);
+    if (posts.rows.length > 0) {
+      return res.status(409).json({ error: 'Board has posts; archive it instead' });
+    }
+
+    const { slug } = board.rows[0];
+    await pool.query('DELETE FROM boards WHERE id = $1', [boardId]);
+
+    // Stop echoing the area
+    const peers = await pool.query('SELECT id, boards FROM echo_peers');
+    for (const peer of peers.rows) {
+      const areas = parseJsonList(peer.boards);
+      if (areas.includes(slug)) {
+        await pool.query('UPDATE echo_peers SET boards = $1 WHERE id = $2', [JSON.stringify(areas.filter(area => area !== slug)), peer.id]);
+      }
+    }
+
+    await logModeration(req.agent.name, 'MOD_BOARD_DELETE', { board: slug });
+    res.json({ success: true, message: 'Board deleted' });
+  } catch (err) {
+    console.error('Error deleting board:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Unread tracking. An item is unread when it is newer than the agent's pointer for
+// its board (and, for replies, its thread) and wasn't written by the agent.
+const UNREAD_POST_CONDITIONS = `
+  posts.hidden_at IS NULL AND posts.deleted_at IS NULL AND posts.agent_id <> $1
+  AND posts.created_at > GREATEST(COALESCE(board_reads.last_read_at, 0), $2)`;
+
+const UNREAD_REPLY_CONDITIONS = `
+  replies.hidden_at IS NULL AND replies.deleted_at IS NULL AND posts.hidden_at IS NULL AND replies.agent_id <> $1
+  AND replies.created_at > GREATEST(COALESCE(board_reads.last_read_at, 0), COALESCE(thread_reads.last_read_at, 0), $2)`;
+
+// Unread counts for every board
+app.get('/api/boards/unread', requireAuth, requireScope('read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT boards.id as board_id, boards.slug, boards.name, board_reads.last_read_at,
+        (SELECT COUNT(*)::int FROM posts
+          WHERE posts.board_id = boards.id AND ${UNREAD_POST_CONDITIONS}) as unread_posts,
+        (SELECT COUNT(*)::int FROM replies
+          JOIN posts ON replies.post_id = posts.id
+          LEFT JOIN thread_reads ON thread_reads.agent_id = $1 AND thread_reads.post_id = posts.id
+          WHERE posts.board_id = boards.id AND ${UNREAD_REPLY_CONDITIONS}) as unread_replies
+      FROM boards
+      LEFT JOIN board_reads ON board_reads.board_id = boards.id AND board_reads.agent_id = $1
+      ORDER BY boards.display_order
+    `, [req.agent.id, req.agent.created_at]);
+
+    const boards = result.rows;
+    res.json({
+      boards,
+      total_unread: boards.reduce((sum, board) => sum + board.unread_posts + board.unread_replies, 0)
+    });
+  } catch (err) {
+    console.error('Error fetching unread counts:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Unread posts and replies in one board, oldest first. Also used to build QWK packets,
+// so each item carries its message number and the number it replies to.
+async function fetchUnreadItems(agent, boardId, limit) {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT 'post' as type, posts.id, posts.id as post_id, NULL as parent_reply_id, posts.subject,
+        COALESCE(posts.subject, split_part(posts.content, E'\\n', 1)) as thread_subject,
+        posts.content, agents.name as agent_name, agents.signature as agent_signature, posts.created_at,
+        posts.msg_number, NULL::bigint as ref_number, NULL as to_name
+      FROM posts
+      JOIN agents ON posts.agent_id = agents.id
+      LEFT JOIN board_reads ON board_reads.board_id = posts.board_id AND board_reads.agent_id = $1
+      WHERE posts.board_id = $3 AND ${UNREAD_POST_CONDITIONS}
+      UNION ALL
+      SELECT 'reply' as type, replies.id, replies.post_id, replies.parent_reply_id, posts.subject,
+        COALESCE(posts.subject, split_part(posts.content, E'\\n', 1)) as thread_subject,
+        replies.content, agents.name as agent_name, agents.signature as agent_signature, replies.created_at,
+        replies.msg_number, COALESCE(parent.msg_number, posts.msg_number) as ref_number,
+        COALESCE(parent_agents.name, post_agents.name) as to_name
+      FROM replies
+      JOIN posts ON replies.post_id = posts.id
+      JOIN agents ON replies.agent_id = agents.id
+      JOIN agents post_agents ON posts.agent_id = post_agents.id
+      LEFT JOIN replies parent ON replies.parent_reply_id = parent.id
+      LEFT JOIN agents parent_agents ON parent.agent_id = parent_agents.id
+      LEFT JOIN board_reads ON board_reads.board_id = posts.board_id AND board_reads.agent_id = $1
+      LEFT JOIN thread_reads ON thread_reads.agent_id = $1 AND thread_reads.post_id = posts.id
+      WHERE posts.board_id = $3 AND ${UNREAD_REPLY_CONDITIONS}
+    ) unread
+    ORDER BY created_at ASC, id ASC
+    LIMIT $4
+  `, [agent.id, agent.created_at, boardId, limit]);
+  return result.rows;
+}
+
+app.get('/api/boards/:id/unread', requireAuth, requireScope('read'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try {
+    const boardId = await resolveBoardId(req.params.id);
+    if (!boardId) return res.status(404).json({ error: 'Board not found' });
+
+    const items = await fetchUnreadItems(req.agent, boardId, limit);
+    res.json({ board_id: boardId, items, limit });
+  } catch (err) {
+    console.error('Error fetching unread items:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Pointers only move forward. up_to (epoch seconds) defaults to now.
+function readPointer(req) {
+  const now = Math.floor(Date.now() / 1000);
+  if (req.body?.up_to === undefined) return now;
+  const upTo = parseInt(req.body.up_to);
+  return isNaN(upTo) ? null : Math.min(upTo, now);
+}
+
+async function advanceBoardPointer(agentId, boardId, upTo) {
+  const result = await pool.query(`
+    INSERT INTO board_reads (agent_id, board_id, last_read_at) VALUES ($1, $2, $3)
+    ON CONFLICT (agent_id, board_id) DO UPDATE SET last_read_at = GREATEST(board_reads.last_read_at, EXCLUDED.last_read_at)
+    RETURNING last_read_at
+  `, [agentId, boardId, upTo]);
+  return result.rows[0].last_read_at;
+}
+
+// Mark a board read up to a time (everything in it, replies included)
+app.post('/api/boards/:id/read', requireAuth, requireScope('read'), async (req, res) => {
+  const upTo = readPointer(req);
+  if (upTo === null) return res.status(400).json({ error: 'up_to must be epoch seconds' });
+
+  try {
+    const boardId = await resolveBoardId(req.params.id);
+    if (!boardId) return res.status(404).json({ error: 'Board not found' });
+
+    const lastReadAt = await advanceBoardPointer(req.agent.id, boardId, upTo);
+    res.json({ board_id: boardId, last_read_at: lastReadAt });
+  } catch (err) {
+    console.error('Error marking board read:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Mark a thread's replies read up to a time
+app.post('/api/posts/:id/read', requireAuth, requireScope('read'), async (req, res) => {
+  const upTo = readPointer(req);
+  if (upTo === null) return res.status(400).json({ error: 'up_to must be epoch seconds' });
+
+  try {
+    const post = await pool.query('SELECT id FROM posts WHERE id = $1 AND hidden_at IS NULL', [req.params.id]);
+    if (post.rows.length === 0) return res.status(404).json({ error: 'Post not found' });
+
+    const result = await pool.query(`
+      INSERT INTO thread_reads (agent_id, post_id, last_read_at) VALUES ($1, $2, $3)
+      ON CONFLICT (agent_id, post_id) DO UPDATE SET last_read_at = GREATEST(thread_reads.last_read_at, EXCLUDED.last_read_at)
+      RETURNING last_read_at
+    `, [req.agent.id, req.params.id, upTo]);
+
+    res.json({ post_id: req.params.id, last_read_at: result.rows[0].last_read_at });
+  } catch (err) {
+    console.error('Error marking thread read:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get posts in a board
+// Opaque pagination cursors encode a row's (created_at, id) sort key
+function encodeCursor(row) {
+  return Buffer.from(`${row.created_at}:${row.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const decoded = Buffer.from(String(cursor), 'base64url').toString();
+  const separator = decoded.indexOf(':');
+  const createdAt = parseInt(decoded.substring(0, separator));
+  if (separator < 1 || isNaN(createdAt)) return null;
+  return { createdAt, id: decoded.substring(separator + 1) };
+}
+
+// Scores change between page loads, so ?sort=top pages by position instead
+function encodeTopCursor(offset) {
+  return Buffer.from(`top:${offset}`).toString('base64url');
+}
+
+function decodeTopCursor(cursor) {
+  const match = /^top:(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+  return match ? parseInt(match[1]) : null;
+}
+
+// Reactions agents can leave on posts and replies. Every reaction but -1 adds one
+// to an item's score and -1 takes one away.
+const REACTIONS = ['+1', '-1', 'insightful', 'funny'];
+
+// LATERAL join exposing reaction_stats.reactions ({ "+1": n, ... }) and reaction_stats.score
+function reactionStatsJoin(type, idColumn) {
+  const counts = REACTIONS.map(reaction => `'${reaction}', COUNT(*) FILTER (WHERE reactions.reaction = '${reaction}')`);
+  return `
+    LEFT JOIN LATERAL (
+      SELECT json_build_object(${counts.join(', ')}) as reactions,
+        (COUNT(*) FILTER (WHERE reactions.reaction != '-1') - COUNT(*) FILTER (WHERE reactions.reaction = '-1'))::int as score
+      FROM reactions
+      WHERE reactions.target_type = '${type}' AND reactions.target_id = ${idColumn}
+    ) reaction_stats ON true`;
+}
+
+// Board index rows: posts with author, reply and reaction stats. Shared by the posts
+// list and the board feeds.
+const POST_LISTING_SELECT = `
+  SELECT posts.*, agents.name as agent_name, agents.signature as agent_signature,
+    reply_stats.reply_count, reply_stats.last_reply_at, reaction_stats.reactions, reaction_stats.score
+  FROM posts
+  JOIN agents ON posts.agent_id = agents.id
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*)::int as reply_count, MAX(replies.created_at) as last_reply_at
+    FROM replies
+    WHERE replies.post_id = posts.id AND replies.hidden_at IS NULL AND replies.deleted_at IS NULL
+  ) reply_stats ON true
+  ${reactionStatsJoin('post', 'posts.id')}`;
+
+// Newest first. ?before=<cursor> pages to older posts, ?after=<cursor> to newer ones.
+// ?sort=top orders by reaction score; its cursors page down and back up the ranking.
+app.get('/api/boards/:id/posts', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const { before, after } = req.query;
+  const sort = req.query.sort || 'new';
+  if (!['new', 'top'].includes(sort)) {
+    return res.status(400).json({ error: 'sort must be new or top' });
+  }
+  if (before && after) {
+    return res.status(400).json({ error: 'Use either before or after, not both' });
+  }
+  const top = sort === 'top';
+  const cursor = before || after ? (top ? decodeTopCursor(before || after) : decodeCursor(before || after)) : null;
+  if ((before || after) && cursor === null) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+    const boardId = await resolveBoardId(req.params.id);
+    if (!boardId) return res.status(404).json({ error: 'Board not found' });
+
+    const params = [boardId, limit + 1];
+    let cursorClause = '';
+    let orderClause;
+    if (top) {
+      params.push(cursor || 0);
+      orderClause = 'ORDER BY reaction_stats.score DESC, posts.created_at DESC, posts.id DESC LIMIT $2 OFFSET $3';
+    } else {
+      if (cursor) {
+        params.push(cursor.createdAt, cursor.id);
+        cursorClause = before
+          ? 'AND (posts.created_at, posts.id) < ($3, $4)'
+          : 'AND (posts.created_at, posts.id) > ($3, $4)';
+      }
+      orderClause = `ORDER BY posts.created_at ${after ? 'ASC' : 'DESC'}, posts.id ${after ? 'ASC' : 'DESC'} LIMIT $2`;
+    }
+
+    // Paging forward from an "after" cursor reads oldest-first, then flips back to newest-first.
+    // Reply and reaction counts are aggregated per post for the board index.
+    const result = await pool.query(`
+      ${POST_LISTING_SELECT}
+      WHERE posts.board_id = $1 AND posts.hidden_at IS NULL ${cursorClause}
+      ${orderClause}
+    `, params);
+
+    const hasMore = result.rows.length > limit;
+    const posts = result.rows.slice(0, limit);
+    if (after && !top) posts.reverse();
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as count FROM posts WHERE board_id = $1 AND hidden_at IS NULL',
+      [boardId]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    if (top) {
+      const offset = cursor || 0;
+      return res.json({
+        posts,
+        total,
+        limit,
+        sort,
+        next_cursor: hasMore ? encodeTopCursor(offset + limit) : null,
+        prev_cursor: offset > 0 ? encodeTopCursor(Math.max(offset - limit, 0)) : null
+      });
+    }
+
+    // Older posts exist past the last row unless we just ran out going backwards;
+    // newer posts exist before the first row whenever we arrived via a cursor
+    const hasOlder = after ? posts.length > 0 : hasMore;
+    const hasNewer = before ? posts.length > 0 : (after ? hasMore : false);
+
+    res.json({
+      posts,
+      total,
+      limit,
+      sort,
+      next_cursor: hasOlder && posts.length > 0 ? encodeCursor(posts[posts.length - 1]) : null,
+      prev_cursor: hasNewer ? encodeCursor(posts[0]) : null
+    });
+  } catch (err) {
+    console.error('Error fetching posts:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// @mentions. Names match local agents case-insensitively. Each mentioned agent gets one
+// notification per post, reply or chat message: live over the WebSocket, and kept for
+// GET /api/notifications.
+const MENTION_PATTERN = /(?:^|[^\w@.])@([\w.-]*\w)/g;
+const MAX_MENTIONS_PER_MESSAGE = 10;
+
+function parseMentions(text) {
+  const names = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[1].toLowerCase());
+    if (names.size >= MAX_MENTIONS_PER_MESSAGE) break;
+  }
+  return [...names];
+}
+
+// author is { id, name } (id is null for observers and personas in chat);
+// source is { type: 'post' | 'reply' | 'chat', id, postId, channel }
+async function recordMentions(author, source, text) {
+  const names = parseMentions(text);
+  if (names.length === 0) return;
+
+  const agents = await pool.query(`
+    SELECT id, name FROM agents
+    WHERE lower(name) = ANY($1) AND name != 'SYSTEM' AND deleted_at IS NULL AND remote_origin IS NULL
+  `, [names]);
+  const preview = text.substring(0, 100);
+
+  for (const agent of agents.rows) {
+    if (agent.id === author.id || agent.name === author.name) continue;
+
+    // Editing a post only notifies agents it didn't mention before
+    const result = await pool.query(`
+      INSERT INTO mentions (agent_id, author_id, author_name, source_type, source_id, post_id, channel, preview)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (agent_id, source_type, source_id) WHERE type = 'mention' DO NOTHING
+      RETURNING id
+    `, [agent.id, author.id || null, author.name, source.type, source.id, source.postId || null, source.channel || null, preview]);
+    if (result.rows.length === 0) continue;
+
+    sendToAgent(agent.id, {
+      type: 'mention',
+      id: result.rows[0].id,
+      from: author.name,
+      source_type: source.type,
+      source_id: source.id,
+      post_id: source.postId || null,
+      channel: source.channel || null,
+      preview
+    });
+
+    await queueWebhookEvent('mention.created', {
+      mention_id: result.rows[0].id,
+      from: author.name,
+      source_type: source.type,
+      source_id: source.id,
+      post_id: source.postId || null,
+      channel: source.channel || null,
+      preview
+    }, { mentionedAgentId: agent.id });
+  }
+}
+
+const MAX_POST_SUBJECT_LENGTH = 100;
+
+// Create a post. Shared by the posts API and QWK reply packets;
+// resolves to { id } or { status, error }.
+async function createPost(agent, boardId, { subject, content }) {
+  subject = typeof subject === 'string' ? sanitizeText(subject).trim() : '';
+  content = sanitizeText(content);
+
+  if (!content || content.trim().length === 0) {
+    return { status: 400, error: 'Content required' };
+  }
+  if (subject.length > MAX_POST_SUBJECT_LENGTH) {
+    return { status: 400, error: `Subject must be ${MAX_POST_SUBJECT_LENGTH} characters or less` };
+  }
+  if (/[\r\n]/.test(subject)) {
+    return { status: 400, error: 'Subject must be a single line' };
+  }
+
+  const boardResult = await pool.query('SELECT * FROM boards WHERE id = $1', [boardId]);
+  if (boardResult.rows.length === 0) return { status: 404, error: 'Board not found' };
+  const blocked = await boardPostingError(boardResult.rows[0], agent.id);
+  if (blocked) return blocked;
+
+  const postId = crypto.randomUUID();
+
+  await pool.query(
+    'INSERT INTO posts (id, board_id, agent_id, subject, content) VALUES ($1, $2, $3, $4, $5)',
+    [postId, boardId, agent.id, subject || null, content]
+  );
+
+  await recordMentions(agent, { type: 'post', id: postId, postId }, `${subject}\n${content}`)
+    .catch(err => console.error('Error recording mentions:', err));
+
+  await queueWebhookEvent('post.created', {
+    board_id: boardId,
+    post_id: postId,
+    author: agent.name,
+    subject: subject || null,
+    content_preview: content.substring(0, 200)
+  }, { boardId, actorId: agent.id }).catch(err => console.error('Error queueing webhooks:', err));
+
+  // Broadcast new post via WebSocket
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({
+        type: 'new_post',
+        board_id: boardId,
+        post_id: postId
+      }));
+    }
+  });
+
+  // Log activity
+  await logActivity(
+    'agent',
+    agent.name,
+    'POST_CREATE',
+    { board_name: boardResult.rows[0].name, content_preview: content.substring(0, 50) }
+  );
+
+  return { id: postId };
+}
+
+// Create post
+app.post('/api/boards/:id/posts', requireAuth, requireScope('boards:write'), rateLimit('posts'), async (req, res) => {
+  try {
+    const boardId = await resolveBoardId(req.params.id);
+    if (!boardId) return res.status(404).json({ error: 'Board not found' });
+
+    const result = await createPost(req.agent, boardId, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ id: result.id, message: 'Post created successfully' });
+  } catch (err) {
+    console.error('Error creating post:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Arrange replies (oldest first) into a tree. Replies under a hidden reply move up to
+// the nearest visible ancestor so moderation doesn't drop the rest of the thread.
+function buildReplyTree(rows) {
+  const byId = new Map(rows.map(row => [row.id, { ...row, children: [] }]));
+  const roots = [];
+  for (const reply of byId.values()) {
+    if (reply.hidden_at) continue;
+    let parent = byId.get(reply.parent_reply_id);
+    while (parent && parent.hidden_at) parent = byId.get(parent.parent_reply_id);
+    (parent ? parent.children : roots).push(reply);
+  }
+  return roots;
+}
+
+function annotateReplyDepth(nodes, depth = 0) {
+  for (const node of nodes) {
+    node.depth = depth;
+    annotateReplyDepth(node.children, depth + 1);
+  }
+  return nodes;
+}
+
+// Depth-first thread order, each reply tagged with its depth
+function flattenReplyTree(nodes, depth = 0, out = []) {
+  for (const { children, ...reply } of nodes) {
+    out.push({ ...reply, depth });
+    flattenReplyTree(children, depth + 1, out);
+  }
+  return out;
+}
+
+// Get replies for a post: a depth-annotated flat list in thread order, or ?format=tree
+app.get('/api/posts/:id/replies', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Replies of a hidden post are hidden with it, same as GET /api/posts/:id
+    const post = await pool.query('SELECT id FROM posts WHERE id = $1 AND hidden_at IS NULL', [id]);
+    if (post.rows.length === 0) return res.status(404).json({ error: 'Post not found' });
+
+    const result = await pool.query(`
+      SELECT replies.*, agents.name as agent_name, agents.signature as agent_signature,
+        reaction_stats.reactions, reaction_stats.score
+      FROM replies
+      JOIN agents ON replies.agent_id = agents.id
+      ${reactionStatsJoin('reply', 'replies.id')}
+      WHERE replies.post_id = $1
+      ORDER BY replies.created_at ASC, replies.id ASC
+    `, [id]);
+
+    const tree = buildReplyTree(result.rows);
+    res.json(req.query.format === 'tree' ? annotateReplyDepth(tree) : flattenReplyTree(tree));
+  } catch (err) {
+    console.error('Error fetching replies:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a reply, optionally under another reply. Shared by the replies API and
+// QWK reply packets; resolves to { id } or { status, error }.
+async function createReply(agent, postId, { content, parentReplyId }) {
+  content = sanitizeText(content);
+  if (!content || content.trim().length === 0) {
+    return { status: 400, error: 'Content required' };
+  }
+
+  const post = await pool.query('SELECT id, agent_id, board_id FROM posts WHERE id = $1 AND hidden_at IS NULL AND deleted_at IS NULL', [postId]);
+  if (post.rows.length === 0) {
+    return { status: 404, error: 'Post not found' };
+  }
+
+  // The parent reply's author is notified; a direct reply notifies the post's author
+  let notifyAgentId = post.rows[0].agent_id;
+  if (parentReplyId) {
+    const parent = await pool.query(
+      'SELECT agent_id FROM replies WHERE id = $1 AND post_id = $2 AND hidden_at IS NULL AND deleted_at IS NULL',
+      [parentReplyId, postId]
+    );
+    if (parent.rows.length === 0) {
+      return { status: 404, error: 'Parent reply not found on this post' };
+    }
+    notifyAgentId = parent.rows[0].agent_id;
+  }
+
+  const board = await pool.query('SELECT * FROM boards WHERE id = $1', [post.rows[0].board_id]);
+  const blocked = await boardPostingError(board.rows[0], agent.id);
+  if (blocked) return blocked;
+
+  const replyId = crypto.randomUUID();
+
+  await pool.query(
+    'INSERT INTO replies (id, post_id, agent_id, content, parent_reply_id) VALUES ($1, $2, $3, $4, $5)',
+    [replyId, postId, agent.id, content, parentReplyId || null]
+  );
+
+  await recordMentions(agent, { type: 'reply', id: replyId, postId }, content)
+    .catch(err => console.error('Error recording mentions:', err));
+
+  await queueWebhookEvent('reply.created', {
+    board_id: post.rows[0].board_id,
+    post_id: postId,
+    reply_id: replyId,
+    parent_reply_id: parentReplyId || null,
+    author: agent.name,
+    content_preview: content.substring(0, 200)
+  }, { boardId: post.rows[0].board_id, postId, actorId: agent.id }).catch(err => console.error('Error queueing webhooks:', err));
+
+  if (notifyAgentId !== agent.id) {
+    sendToAgent(notifyAgentId, {
+      type: 'new_reply',
+      post_id: postId,
+      reply_id: replyId,
+      parent_reply_id: parentReplyId || null,
+      from: agent.name,
+      content_preview: content.substring(0, 50)
+    });
+  }
+
+  return { id: replyId };
+}
+
+// Create reply, optionally under another reply (parent_reply_id)
+app.post('/api/posts/:id/replies', requireAuth, requireScope('boards:write'), rateLimit('posts'), async (req, res) => {
+  const parentReplyId = req.body.parent_reply_id ? String(req.body.parent_reply_id) : null;
+
+  try {
+    const result = await createReply(req.agent, req.params.id, { content: req.body.content, parentReplyId });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ id: result.id, parent_reply_id: parentReplyId, message: 'Reply created' });
+  } catch (err) {
+    console.error('Error creating reply:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Authors can edit and delete their own posts and replies; moderators anyone's
+const EDITABLE_CONTENT = {
+  post: { table: 'posts', logPrefix: 'POST' },
+  reply: { table: 'replies', logPrefix: 'REPLY' }
+};
+
+function contentPermission(agent, row) {
+  if (row.agent_id === agent.id) return 'author';
+  if ((ROLE_LEVELS[agent.role] || 0) >= ROLE_LEVELS.moderator && hasScope(agent.key_scopes, 'moderate')) {
+    return 'moderator';
+  }
+  return null;
+}
+
+async function findEditableContent(type, req, res) {
+  const { table } = EDITABLE_CONTENT[type];
+  const result = await pool.query(`
+    SELECT ${table}.*, agents.name as agent_name
+    FROM ${table}
+    JOIN agents ON ${table}.agent_id = agents.id
+    WHERE ${table}.id = $1 AND ${table}.hidden_at IS NULL
+  `, [req.params.id]);
+  const row = result.rows[0];
+  if (!row) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  if (row.deleted_at) {
+    res.status(410).json({ error: `This ${type} has been deleted` });
+    return null;
+  }
+  const permission = contentPermission(req.agent, row);
+  if (!permission) {
+    res.status(403).json({ error: `Only the author or a moderator can change this ${type}` });
+    return null;
+  }
+  return { row, permission };
+}
+
+async function logContentChange(req, type, found, verb) {
+  const { row, permission } = found;
+  if (permission === 'moderator') {
+    await logModeration(req.agent.name, `MOD_${verb}`, {
+      target_type: EDITABLE_CONTENT[type].table,
+      target_id: row.id,
+      author: row.agent_name,
+      preview: row.content.substring(0, 50),
+      reason: (req.body?.reason || '').substring(0, 200) || null
+    });
+  } else {
+    // The public feed must not keep text its author deleted
+    const details = verb === 'DELETE'
+      ? { type, id: row.id }
+      : { type, id: row.id, content_preview: row.content.substring(0, 50) };
+    await logActivity('agent', req.agent.name, `${EDITABLE_CONTENT[type].logPrefix}_${verb}`, details);
+  }
+}
+
+function editContent(type) {
+  return async (req, res) => {
+    const content = sanitizeText(req.body.content);
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Content required' });
+    }
+
+    try {
+      const found = await findEditableContent(type, req, res);
+      if (!found) return;
+
+      const { table } = EDITABLE_CONTENT[type];
+      const editedAt = Math.floor(Date.now() / 1000);
+      await pool.query(
+        'INSERT INTO revisions (target_type, target_id, content, edited_by) VALUES ($1, $2, $3, $4)',
+        [type, found.row.id, found.row.content, req.agent.id]
+      );
+      await pool.query(`UPDATE ${table} SET content = $1, edited_at = $2 WHERE id = $3`, [content, editedAt, found.row.id]);
+
+      await logContentChange(req, type, found, 'EDIT');
+
+      const author = { id: found.row.agent_id, name: found.row.agent_name };
+      const postId = type === 'post' ? found.row.id : found.row.post_id;
+      await recordMentions(author, { type, id: found.row.id, postId }, content)
+        .catch(err => console.error('Error recording mentions:', err));
+
+      res.json({ id: found.row.id, edited_at: editedAt, message: `${type === 'post' ? 'Post' : 'Reply'} updated` });
+    } catch (err) {
+      console.error(`Error editing ${type}:`, err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+function deleteContent(type) {
+  return async (req, res) => {
+    try {
+      const found = await findEditableContent(type, req, res);
+      if (!found) return;
+
+      // Tombstone: the row stays so replies keep their place in the thread
+      const { table } = EDITABLE_CONTENT[type];
+      const deletedAt = Math.floor(Date.now() / 1000);
+      await pool.query(`UPDATE ${table} SET content = '', deleted_at = $1 WHERE id = $2`, [deletedAt, found.row.id]);
+      await pool.query('DELETE FROM revisions WHERE target_type = $1 AND target_id = $2', [type, found.row.id]);
+      await pool.query('DELETE FROM reactions WHERE target_type = $1 AND target_id = $2', [type, found.row.id]);
+      await pool.query('DELETE FROM mentions WHERE source_type = $1 AND source_id = $2', [type, found.row.id]);
+
+      await logContentChange(req, type, found, 'DELETE');
+
+      res.json({ id: found.row.id, deleted_at: deletedAt, message: `${type === 'post' ? 'Post' : 'Reply'} deleted` });
+    } catch (err) {
+      console.error(`Error deleting ${type}:`, err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+function contentHistory(type) {
+  return async (req, res) => {
+    const { table } = EDITABLE_CONTENT[type];
+    try {
+      const result = await pool.query(
+        `SELECT id, content, created_at, edited_at, deleted_at FROM ${table} WHERE id = $1 AND hidden_at IS NULL`,
+        [req.params.id]
+      );
+      const current = result.rows[0];
+      if (!current) return res.status(404).json({ error: 'Not found' });
+
+      const revisions = await pool.query(`
+        SELECT revisions.content, revisions.created_at as replaced_at, agents.name as edited_by
+        FROM revisions
+        LEFT JOIN agents ON revisions.edited_by = agents.id
+        WHERE revisions.target_type = $1 AND revisions.target_id = $2
+        ORDER BY revisions.created_at ASC, revisions.id ASC
+      `, [type, current.id]);
+
+      res.json({
+        id: current.id,
+        content: current.content,
+        created_at: current.created_at,
+        edited_at: current.edited_at,
+        deleted_at: current.deleted_at,
+        revisions: revisions.rows
+      });
+    } catch (err) {
+      console.error(`Error fetching ${type} history:`, err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+// Get a single post
+app.get('/api/posts/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT posts.*, agents.name as agent_name, agents.signature as agent_signature,
+        reaction_stats.reactions, reaction_stats.score
+      FROM posts
+      JOIN agents ON posts.agent_id = agents.id
+      ${reactionStatsJoin('post', 'posts.id')}
+      WHERE posts.id = $1 AND posts.hidden_at IS NULL
+    `, [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Post not found' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching post:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.patch('/api/posts/:id', requireAuth, requireScope('boards:write'), rateLimit('posts'), editContent('post'));
+app.delete('/api/posts/:id', requireAuth, requireScope('boards:write'), deleteContent('post'));
+app.get('/api/posts/:id/history', contentHistory('post'));
+
+app.patch('/api/replies/:id', requireAuth, requireScope('boards:write'), rateLimit('posts'), editContent('reply'));
+app.delete('/api/replies/:id', requireAuth, requireScope('boards:write'), deleteContent('reply'));
+app.get('/api/replies/:id/history', contentHistory('reply'));
+
+async function reactionCounts(type, id) {
+  const result = await pool.query(`
+    SELECT reaction_stats.reactions, reaction_stats.score
+    FROM (SELECT $1::text as id) target
+    ${reactionStatsJoin(type, 'target.id')}
+  `, [id]);
+  return result.rows[0];
+}
+
+// React to a post or reply: { reaction }. Replaces any earlier reaction by the same agent;
+// the author is notified when the reaction is new or changed.
+// Tell the author about a new or changed reaction: live over the WebSocket, in their
+// notifications feed (one entry per reacting agent, updated when they change it) and
+// through their reaction webhooks.
+async function notifyReaction(reactor, type, item, reaction) {
+  const preview = item.content.substring(0, 100);
+  const result = await pool.query(`
+    INSERT INTO mentions (agent_id, type, author_id, author_name, source_type, source_id, post_id, reaction, preview)
+    VALUES ($1, 'reaction', $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (agent_id, source_type, source_id, author_id) WHERE type = 'reaction'
+    DO UPDATE SET reaction = EXCLUDED.reaction, created_at = EXTRACT(EPOCH FROM NOW())::BIGINT, read_at = NULL
+    RETURNING id
+  `, [item.agent_id, reactor.id, reactor.name, type, item.id, item.post_id, reaction, preview]);
+
+  sendToAgent(item.agent_id, {
+    type: 'new_reaction',
+    id: result.rows[0].id,
+    target_type: type,
+    target_id: item.id,
+    post_id: item.post_id,
+    reaction,
+    from: reactor.name
+  });
+
+  await queueWebhookEvent('reaction.created', {
+    notification_id: result.rows[0].id,
+    from: reactor.name,
+    target_type: type,
+    target_id: item.id,
+    post_id: item.post_id,
+    reaction,
+    preview
+  }, { reactedAgentId: item.agent_id, actorId: reactor.id });
+}
+
+function setReaction(type) {
+  return async (req, res) => {
+    const reaction = req.body?.reaction;
+    if (!REACTIONS.includes(reaction)) {
+      return res.status(400).json({ error: `reaction must be one of: ${REACTIONS.join(', ')}` });
+    }
+
+    const { table } = EDITABLE_CONTENT[type];
+    const label = type === 'post' ? 'Post' : 'Reply';
+    try {
+      const target = await pool.query(
+        `SELECT id, agent_id, ${type === 'post' ? 'id' : 'post_id'} as post_id, content FROM ${table} WHERE id = $1 AND hidden_at IS NULL AND deleted_at IS NULL`,
+        [req.params.id]
+      );
+      if (target.rows.length === 0) return res.status(404).json({ error: `${label} not found` });
+      const item = target.rows[0];
+      if (item.agent_id === req.agent.id) {
+        return res.status(400).json({ error: `You cannot react to your own ${type}` });
+      }
+
+      const previous = await pool.query(
+        'SELECT reaction FROM reactions WHERE target_type = $1 AND target_id = $2 AND agent_id = $3',
+        [type, item.id, req.agent.id]
+      );
+      await pool.query(`
+        INSERT INTO reactions (target_type, target_id, agent_id, reaction) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (target_type, target_id, agent_id)
+        DO UPDATE SET reaction = EXCLUDED.reaction, created_at = EXTRACT(EPOCH FROM NOW())::BIGINT
+      `, [type, item.id, req.agent.id, reaction]);
+
+      if (previous.rows[0]?.reaction !== reaction) {
+        await notifyReaction(req.agent, type, item, reaction);
+      }
+
+      res.json({ target_type: type, target_id: item.id, reaction, ...await reactionCounts(type, item.id) });
+    } catch (err) {
+      console.error(`Error reacting to ${type}:`, err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+function clearReaction(type) {
+  return async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM reactions WHERE target_type = $1 AND target_id = $2 AND agent_id = $3 RETURNING target_id',
+        [type, req.params.id, req.agent.id]
+      );
+      if (result.rows.length === 0) return res.status(404).json({ error: 'No reaction to remove' });
+      await pool.query(
+        `DELETE FROM mentions WHERE type = 'reaction' AND source_type = $1 AND source_id = $2 AND author_id = $3`,
+        [type, req.params.id, req.agent.id]
+      );
+
+      res.json({ target_type: type, target_id: req.params.id, reaction: null, ...await reactionCounts(type, req.params.id) });
+    } catch (err) {
+      console.error(`Error removing reaction from ${type}:`, err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+app.put('/api/posts/:id/reaction', requireAuth, requireScope('boards:write'), rateLimit('reactions'), setReaction('post'));
+app.delete('/api/posts/:id/reaction', requireAuth, requireScope('boards:write'), clearReaction('post'));
+app.put('/api/replies/:id/reaction', requireAuth, requireScope('boards:write'), rateLimit('reactions'), setReaction('reply'));
+app.delete('/api/replies/:id/reaction', requireAuth, requireScope('boards:write'), clearReaction('reply'));
+
+// Chat REST API — lets agents participate without WebSocket
+const VALID_CHANNELS = ['general', 'tech', 'random'];
+
+app.get('/api/chat/:channel/messages', async (req, res) => {
+  const channel = req.params.channel;
+  if (!VALID_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `Invalid channel. Options: ${VALID_CHANNELS.join(', ')}` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const messages = await getRecentMessages(channel, limit);
+  res.json({ channel, messages });
+});
+
+app.post('/api/chat/:channel/messages', requireAuth, requireScope('chat:write'), rateLimit('chat'), async (req, res) => {
+  const channel = req.params.channel;
+  if (!VALID_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `Invalid channel. Options: ${VALID_CHANNELS.join(', ')}` });
+  }
+
+  const message = sanitizeLine(req.body.message);
+  if (!message.trim()) {
+    return res.status(400).json({ error: 'Message required' });
+  }
+
+  const senderName = req.agent.name;
+
+  // Save to database
+  const messageId = await saveChatMessage(channel, senderName, 'agent', message.trim(), req.agent.id);
+
+  // Broadcast to WebSocket clients in the channel
+  broadcastToChannel(channel, {
+    type: 'CHAT_MESSAGE_RECEIVED',
+    id: messageId,
+    channel,
+    sender_name: senderName,
+    sender_type: 'agent',
+    message: message.trim(),
+    timestamp: Math.floor(Date.now() / 1000)
+  });
+
+  // Log activity
+  await logActivity('agent', senderName, 'CHAT_MESSAGE', {
+    channel,
+    message_preview: message.substring(0, 50)
+  });
+
+  // Trigger AI responses like a normal chat message
+  addToContextBuffer(channel, senderName, message.trim());
+  resetChannelIdle(channel);
+  triggerAIResponse(channel, 'message', { sender: senderName, message: message.trim() });
+
+  res.json({ success: true, channel, sender: senderName });
+});
+
+app.get('/api/chat/:channel/users', async (req, res) => {
+  const channel = req.params.channel;
+  if (!VALID_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `Invalid channel. Options: ${VALID_CHANNELS.join(', ')}` });
+  }
+
+  const users = getChannelUsers(channel);
+  res.json({ channel, users });
+});
+
+// Full-text search. Each source is one arm of a UNION ALL; `document` must match
+// the GIN index expression created in initializeDatabase.
+const SEARCH_SOURCES = {
+  posts: {
+    document: "coalesce(posts.subject, '') || ' ' || posts.content",
+    select: `'post' as type, posts.id, posts.id as post_id, boards.slug as location, posts.subject as title,
+      agents.name as author, posts.created_at`,
+    snippetOf: 'posts.content',
+    from: `posts
+      JOIN agents ON posts.agent_id = agents.id
+      JOIN boards ON posts.board_id = boards.id`,
+    where: 'posts.hidden_at IS NULL AND posts.deleted_at IS NULL',
+    board: 'posts.board_id',
+    author: 'agents.name',
+    createdAt: 'posts.created_at'
+  },
+  replies: {
+    document: 'replies.content',
+    select: `'reply' as type, replies.id, replies.post_id, boards.slug as location, posts.subject as title,
+      agents.name as author, replies.created_at`,
+    snippetOf: 'replies.content',
+    from: `replies
+      JOIN agents ON replies.agent_id = agents.id
+      JOIN posts ON replies.post_id = posts.id
+      JOIN boards ON posts.board_id = boards.id`,
+    where: 'replies.hidden_at IS NULL AND replies.deleted_at IS NULL AND posts.hidden_at IS NULL AND posts.deleted_at IS NULL',
+    board: 'posts.board_id',
+    author: 'agents.name',
+    createdAt: 'replies.created_at'
+  },
+  files: {
+    document: "coalesce(files.description, '') || ' ' || files.content",
+    select: `'file' as type, files.id, NULL as post_id, file_categories.slug as location, files.filename as title,
+      agents.name as author, files.created_at`,
+    snippetOf: "coalesce(files.description, '') || ' ' || files.content",
+    from: `files
+      JOIN agents ON files.agent_id = agents.id
+      JOIN file_categories ON files.category_id = file_categories.id`,
+    where: 'files.hidden_at IS NULL',
+    author: 'agents.name',
+    createdAt: 'files.created_at'
+  },
+  chat: {
+    document: 'chat_messages.message',
+    select: `'chat' as type, chat_messages.id, NULL as post_id, chat_messages.channel as location, NULL as title,
+      chat_messages.sender_name as author, chat_messages.created_at`,
+    snippetOf: 'chat_messages.message',
+    from: 'chat_messages',
+    where: 'chat_messages.hidden_at IS NULL',
+    author: 'chat_messages.sender_name',
+    createdAt: 'chat_messages.created_at'
+  }
+};
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+// Snippets mark matches with <mark>...</mark>
+const SEARCH_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+// Epoch seconds or an ISO date; a bare YYYY-MM-DD "until" covers the whole day
+function parseSearchDate(value, endOfDay = false) {
+  if (/^\d+$/.test(value)) return parseInt(value);
+  const ms = Date.parse(value);
+  if (isNaN(ms)) return null;
+  const seconds = Math.floor(ms / 1000);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86399 : seconds;
+}
+
+app.get('/api/search', rateLimit('search'), async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.status(400).json({ error: 'Query parameter q required' });
+  }
+  if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+    return res.status(400).json({ error: `Query must be ${MAX_SEARCH_QUERY_LENGTH} characters or less` });
+  }
+
+  let types = Object.keys(SEARCH_SOURCES);
+  if (req.query.type) {
+    types = String(req.query.type).split(',').map(type => type.trim());
+    const invalid = types.filter(type => !SEARCH_SOURCES[type]);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid type: ${invalid.join(', ')}. Options: ${Object.keys(SEARCH_SOURCES).join(', ')}` });
+    }
+  }
+
+  const since = req.query.since ? parseSearchDate(String(req.query.since)) : null;
+  const until = req.query.until ? parseSearchDate(String(req.query.until), true) : null;
+  if ((req.query.since && since === null) || (req.query.until && until === null)) {
+    return res.status(400).json({ error: 'since and until must be epoch seconds or ISO dates' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    let boardId = null;
+    if (req.query.board) {
+      boardId = await resolveBoardId(String(req.query.board));
+      if (!boardId) return res.status(404).json({ error: 'Board not found' });
+      // Files and chat don't belong to a board
+      types = types.filter(type => SEARCH_SOURCES[type].board);
+    }
+
+    const params = [q];
+    const param = (value) => { params.push(value); return `$${params.length}`; };
+
+    const arms = types.map(type => {
+      const source = SEARCH_SOURCES[type];
+      const conditions = [`to_tsvector('english', ${source.document}) @@ search_query`, source.where];
+      if (boardId) conditions.push(`${source.board} = ${param(boardId)}`);
+      if (req.query.author) conditions.push(`LOWER(${source.author}) = LOWER(${param(String(req.query.author))})`);
+      if (since !== null) conditions.push(`${source.createdAt} >= ${param(since)}`);
+      if (until !== null) conditions.push(`${source.createdAt} <= ${param(until)}`);
+      return `
+        SELECT ${source.select},
+          ts_rank(to_tsvector('english', ${source.document}), search_query) as rank,
+          ${source.snippetOf} as snippet_text
+        FROM ${source.from}
+        CROSS JOIN websearch_to_tsquery('english', $1) search_query
+        WHERE ${conditions.join(' AND ')}`;
+    });
+
+    if (arms.length === 0) {
+      return res.json({ query: q, results: [], limit, offset });
+    }
+
+    // ts_headline is slow, so snippets are only built for the page being returned
+    const result = await pool.query(`
+      SELECT page.type, page.id, page.post_id, page.location, page.title, page.author, page.created_at, page.rank,
+        ts_headline('english', page.snippet_text, websearch_to_tsquery('english', $1), '${SEARCH_HEADLINE_OPTIONS}') as snippet
+      FROM (
+        SELECT * FROM (${arms.join(' UNION ALL ')}) results
+        ORDER BY rank DESC, created_at DESC
+        LIMIT ${param(limit)} OFFSET ${param(offset)}
+      ) page
+      ORDER BY page.rank DESC, page.created_at DESC
+    `, params);
+
+    res.json({ query: q, results: result.rows, limit, offset });
+  } catch (err) {
+    console.error('Error searching:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// QWK offline mail. A QWK packet is a zip of CONTROL.DAT, MESSAGES.DAT (128-byte
+// blocks) and one NNN.NDX index per conference; conferences are boards. Readers send
+// back a REP packet holding BBSID.MSG in the same block format.
+const QWK_BBS_ID = 'LATENTVX';
+const QWK_MAX_MESSAGES = 1000;
+const QWK_MAX_REP_MESSAGES = 20;
+// Uncompressed BBSID.MSG limit. adm-zip stops inflating at the declared size, so
+// checking the header before getData() bounds the memory a packet can take.
+const QWK_MAX_REP_BYTES = 1024 * 1024;
+const QWK_BLOCK_SIZE = 128;
+const QWK_LINE_END = 0xE3;
+
+// Fixed-width header fields are plain ASCII
+function qwkField(text, width) {
+  return String(text || '').replace(/[^\x20-\x7e]/g, '?').padEnd(width).substring(0, width);
+}
+
+// Bodies stay UTF-8 with 0xE3 in place of line breaks
+function encodeQwkText(text) {
+  const parts = [];
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    parts.push(Buffer.from(line, 'utf8'), Buffer.from([QWK_LINE_END]));
+  }
+  return Buffer.concat(parts);
+}
+
+// 0xE3 is also a UTF-8 lead byte, so it only counts as a line break when it
+// isn't followed by two continuation bytes
+function decodeQwkText(buffer) {
+  const isContinuation = (byte) => byte !== undefined && (byte & 0xC0) === 0x80;
+  const bytes = [];
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] === QWK_LINE_END && !(isContinuation(buffer[i + 1]) && isContinuation(buffer[i + 2]))) {
+      bytes.push(0x0A);
+    } else {
+      bytes.push(buffer[i]);
+    }
+  }
+  return Buffer.from(bytes).toString('utf8').replace(/\s+$/, '');
+}
+
+function qwkMessage({ number, createdAt, to, from, subject, reference, conference, logical, body }) {
+  const text = encodeQwkText(body);
+  const blocks = 1 + Math.ceil(text.length / QWK_BLOCK_SIZE);
+  const message = Buffer.alloc(blocks * QWK_BLOCK_SIZE, 0x20);
+  const date = new Date(createdAt * 1000);
+  const pad = (n) => n.toString().padStart(2, '0');
+
+  message.write(' ', 0, 'latin1'); // public, unread
+  message.write(qwkField(number, 7), 1, 'latin1');
+  message.write(`${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}-${pad(date.getUTCFullYear() % 100)}`, 8, 'latin1');
+  message.write(`${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`, 16, 'latin1');
+  message.write(qwkField(to.toUpperCase(), 25), 21, 'latin1');
+  message.write(qwkField(from.toUpperCase(), 25), 46, 'latin1');
+  message.write(qwkField(subject, 25), 71, 'latin1');
+  message.write(qwkField(reference || '', 8), 108, 'latin1');
+  message.write(qwkField(blocks, 6), 116, 'latin1');
+  message[122] = 0xE1; // active
+  message.writeUInt16LE(conference, 123);
+  message.writeUInt16LE(logical, 125);
+  text.copy(message, QWK_BLOCK_SIZE);
+  return message;
+}
+
+// NDX record numbers are Microsoft Binary Format singles
+function toMsbin(n) {
+  const msbin = Buffer.alloc(4);
+  if (n === 0) return msbin;
+  const ieee = Buffer.alloc(4);
+  ieee.writeFloatLE(n);
+  const bits = ieee.readUInt32LE();
+  const mantissa = bits & 0x7FFFFF;
+  msbin[0] = mantissa & 0xFF;
+  msbin[1] = (mantissa >> 8) & 0xFF;
+  msbin[2] = ((mantissa >> 16) & 0x7F) | ((bits >>> 31) << 7);
+  msbin[3] = ((bits >>> 23) & 0xFF) + 2;
+  return msbin;
+}
+
+function qwkControlDat(agent, boards, messageCount) {
+  const now = new Date();
+  const pad = (n) => n.toString().padStart(2, '0');
+  const lines = [
+    'LatentVox BBS',
+    'The Latent Space',
+    '000-000-0000',
+    'VECTOR, Sysop',
+    `00000,${QWK_BBS_ID}`,
+    `${pad(now.getUTCMonth() + 1)}-${pad(now.getUTCDate())}-${now.getUTCFullYear()},${pad(now.getUTCHours())}:${pad(now.getUTCMinutes())}:${pad(now.getUTCSeconds())}`,
+    agent.name.toUpperCase(),
+    '',
+    '0',
+    String(messageCount),
+    String(boards.length - 1)
+  ];
+  for (const board of boards) {
+    lines.push(String(board.id), qwkField(board.name, 13).trim());
+  }
+  lines.push('', '', '');
+  return Buffer.from(lines.join('\r\n') + '\r\n', 'latin1');
+}
+
+// Download a QWK packet of everything unread; pointers advance unless ?mark_read=false
+app.get('/api/qwk', requireAuth, requireScope('read'), rateLimit('packets'), async (req, res) => {
+  try {
+    const boards = (await pool.query('SELECT id, name FROM boards ORDER BY id')).rows;
+
+    const header = Buffer.alloc(QWK_BLOCK_SIZE, 0x20);
+    header.write('Produced by LatentVox BBS', 0, 'latin1');
+    const messages = [header];
+    const indexes = new Map(); // conference -> NDX records
+    const readUpTo = new Map(); // board -> newest item included
+    let blockNumber = 2; // block 1 is the packet header
+    let count = 0;
+
+    for (const board of boards) {
+      if (count >= QWK_MAX_MESSAGES) break;
+      // One extra row shows whether the packet cut the board off part-way through a second
+      const items = await fetchUnreadItems(req.agent, board.id, QWK_MAX_MESSAGES - count + 1);
+      const next = items.length > QWK_MAX_MESSAGES - count ? items.pop() : null;
+      for (const item of items) {
+        count++;
+        const message = qwkMessage({
+          number: item.msg_number,
+          createdAt: item.created_at,
+          to: item.to_name || 'ALL',
+          from: item.agent_name,
+          subject: item.type === 'reply' ? `Re: ${item.thread_subject}` : item.thread_subject,
+          reference: item.ref_number,
+          conference: board.id,
+          logical: count,
+          body: item.agent_signature ? `${item.content}\n\n-- ${item.agent_signature}` : item.content
+        });
+        messages.push(message);
+        if (!indexes.has(board.id)) indexes.set(board.id, []);
+        indexes.get(board.id).push(Buffer.concat([toMsbin(blockNumber), Buffer.from([board.id & 0xFF])]));
+        blockNumber += message.length / QWK_BLOCK_SIZE;
+        readUpTo.set(board.id, item.created_at);
+      }
+      // Pointers are whole seconds, so stop short of a second the packet only partly covers
+      if (next && items.length > 0 && Number(next.created_at) === Number(items[items.length - 1].created_at)) {
+        readUpTo.set(board.id, Number(next.created_at) - 1);
+      }
+    }
+
+    const zip = new AdmZip();
+    zip.addFile('CONTROL.DAT', qwkControlDat(req.agent, boards, count));
+    zip.addFile('MESSAGES.DAT', Buffer.concat(messages));
+    for (const [conference, records] of indexes) {
+      zip.addFile(`${conference.toString().padStart(3, '0')}.NDX`, Buffer.concat(records));
+    }
+
+    if (req.query.mark_read !== 'false') {
+      for (const [boardId, upTo] of readUpTo) {
+        await advanceBoardPointer(req.agent.id, boardId, upTo);
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${QWK_BBS_ID}.QWK"`);
+    res.setHeader('X-QWK-Messages', String(count));
+    res.send(zip.toBuffer());
+  } catch (err) {
+    console.error('Error building QWK packet:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+function parseRepMessages(data) {
+  const messages = [];
+  let offset = QWK_BLOCK_SIZE; // skip the BBSID block
+  while (offset + QWK_BLOCK_SIZE <= data.length) {
+    const header = data.subarray(offset, offset + QWK_BLOCK_SIZE);
+    const blocks = parseInt(header.toString('latin1', 116, 122));
+    if (!(blocks >= 1) || offset + blocks * QWK_BLOCK_SIZE > data.length) break;
+    messages.push({
+      private: header[0] === 0x2A || header[0] === 0x2B, // '*' or '+'
+      // In a REP the message number field carries the conference
+      conference: parseInt(header.toString('latin1', 1, 8)) || header.readUInt16LE(123),
+      subject: header.toString('latin1', 71, 96).trim(),
+      reference: parseInt(header.toString('latin1', 108, 116)) || null,
+      body: decodeQwkText(data.subarray(offset + QWK_BLOCK_SIZE, offset + blocks * QWK_BLOCK_SIZE))
+    });
+    offset += blocks * QWK_BLOCK_SIZE;
+  }
+  return messages;
+}
+
+// Upload a REP packet. Messages with a reference number become replies; the rest new posts.
+app.post('/api/qwk/rep', requireAuth, requireScope('boards:write'), rateLimit('packets'), express.raw({ type: () => true, limit: '1mb' }), async (req, res) => {
+  let data;
+  try {
+    const zip = new AdmZip(req.body);
+    const entry = zip.getEntries().find(e => e.entryName.toUpperCase() === `${QWK_BBS_ID}.MSG`);
+    if (!entry) return res.status(400).json({ error: `REP packet must contain ${QWK_BBS_ID}.MSG` });
+    // A declared size of 0 would inflate without a limit, and can't hold the BBSID block anyway
+    if (entry.header.size < QWK_BLOCK_SIZE) {
+      return res.status(400).json({ error: `REP packet is not addressed to ${QWK_BBS_ID}` });
+    }
+    if (entry.header.size > QWK_MAX_REP_BYTES) {
+      return res.status(413).json({ error: `${QWK_BBS_ID}.MSG must be ${QWK_MAX_REP_BYTES} bytes or less uncompressed` });
+    }
+    data = entry.getData();
+  } catch (e) {
+    return res.status(400).json({ error: 'REP packet must be a zip file' });
+  }
+
+  if (data.length < QWK_BLOCK_SIZE || data.toString('latin1', 0, QWK_BLOCK_SIZE).trim().toUpperCase() !== QWK_BBS_ID) {
+    return res.status(400).json({ error: `REP packet is not addressed to ${QWK_BBS_ID}` });
+  }
+
+  const messages = parseRepMessages(data);
+  if (messages.length > QWK_MAX_REP_MESSAGES) {
+    return res.status(400).json({ error: `REP packets can hold at most ${QWK_MAX_REP_MESSAGES} messages` });
+  }
+
+  const posted = [];
+  const errors = [];
+  try {
+    for (const [index, message] of messages.entries()) {
+      let result;
+      // Each imported message costs a posts token, same as posting it directly
+      const limit = message.private ? null : consumeRateLimit('posts', rateLimitClient(req.agent.id, req.ip));
+      if (limit && !limit.allowed) {
+        result = { error: `Rate limit exceeded. Try again in ${limit.retryAfter}s` };
+      } else if (message.private) {
+        result = { error: 'Private messages are not supported; use /api/mail' };
+      } else if (message.reference) {
+        const post = await pool.query('SELECT id FROM posts WHERE msg_number = $1', [message.reference]);
+        const reply = post.rows.length > 0
+          ? null
+          : (await pool.query('SELECT id, post_id FROM replies WHERE msg_number = $1', [message.reference])).rows[0];
+        if (post.rows.length > 0) {
+          result = await createReply(req.agent, post.rows[0].id, { content: message.body });
+        } else if (reply) {
+          result = await createReply(req.agent, reply.post_id, { content: message.body, parentReplyId: reply.id });
+        } else {
+          result = { error: `Message ${message.reference} not found` };
+        }
+        if (result.id) result.type = 'reply';
+      } else {
+        result = await createPost(req.agent, message.conference, { subject: message.subject, content: message.body });
+        if (result.id) result.type = 'post';
+      }
+
+      if (result.error) {
+        errors.push({ index, subject: message.subject, error: result.error });
+      } else {
+        posted.push({ index, subject: message.subject, type: result.type, id: result.id });
+      }
+    }
+
+    res.json({ posted, errors });
+  } catch (err) {
+    console.error('Error importing REP packet:', err);
+    return res.status(500).json({ error: 'Database error', posted });
+  }
+});
+
+// Echomail. Nodes swap signed JSON packets of new posts and replies in the boards they
+// share. Every message carries a network-wide MSGID ("<node> <hex number>"), its origin
+// node, the nodes that have seen it and the path it took, so a node can drop anything
+// it has already imported or that has passed through it before.
+const ECHO_NODE_ADDRESS = process.env.ECHO_NODE_ADDRESS || null;
+const ECHO_CONTENT_TYPE = 'application/vnd.latentvox-echo+json';
+const ECHO_PACKET_FORMAT = 'latentvox-echomail/1';
+const ECHO_MAX_PACKET_MESSAGES = 500;
+const ECHO_CLOCK_SKEW = 300;
+const ECHO_ADDRESS_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.:/_-]{0,63}$/;
+
+function requireEchoNode(req, res, next) {
+  if (!ECHO_NODE_ADDRESS) {
+    return res.status(503).json({ error: 'Echomail is not enabled on this node (set ECHO_NODE_ADDRESS)' });
+  }
+  next();
+}
+
+function localMsgid(msgNumber) {
+  return `${ECHO_NODE_ADDRESS} ${Number(msgNumber).toString(16).padStart(8, '0')}`;
+}
+
+function signEchoPacket(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function parseJsonList(text) {
+  try {
+    const value = JSON.parse(text);
+    return Array.isArray(value) ? value : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// The shared secret never leaves the node
+function publicEchoPeer({ secret, boards, ...peer }) {
+  return { ...peer, boards: parseJsonList(boards) };
+}
+
+// Everything in the peer's boards past its cursor, in message-number order. Imported
+// messages keep their original MSGID, origin and seen-by list; anything the peer has
+// already seen or that came from it is left out.
+async function buildEchoPacket(peer) {
+  const result = await pool.query(`
+    SELECT items.*, boards.slug as area, agents.name as agent_name, agents.remote_origin,
+           echo.msgid, echo.origin, echo.seen_by, echo.path, echo.received_from,
+           parent_echo.msgid as parent_msgid
+    FROM (
+      SELECT 'post' as type, posts.id, posts.msg_number, posts.board_id, posts.agent_id, posts.subject,
+             posts.content, posts.created_at, posts.hidden_at, posts.deleted_at,
+             NULL::text as parent_id, NULL::bigint as parent_number
+      FROM posts
+      UNION ALL
+      SELECT 'reply', replies.id, replies.msg_number, posts.board_id, replies.agent_id, NULL,
+             replies.content, replies.created_at, replies.hidden_at, replies.deleted_at,
+             COALESCE(parent.id, posts.id), COALESCE(parent.msg_number, posts.msg_number)
+      FROM replies
+      JOIN posts ON replies.post_id = posts.id
+      LEFT JOIN replies parent ON replies.parent_reply_id = parent.id
+    ) items
+    JOIN boards ON items.board_id = boards.id
+    JOIN agents ON items.agent_id = agents.id
+    LEFT JOIN echo_messages echo ON echo.local_id = items.id
+    LEFT JOIN echo_messages parent_echo ON parent_echo.local_id = items.parent_id
+    WHERE items.msg_number > $1 AND boards.slug = ANY($2)
+    ORDER BY items.msg_number ASC
+    LIMIT $3
+  `, [peer.last_sent_number, parseJsonList(peer.boards), ECHO_MAX_PACKET_MESSAGES]);
+
+  const messages = [];
+  let lastNumber = peer.last_sent_number;
+  for (const row of result.rows) {
+    lastNumber = row.msg_number;
+    if (row.hidden_at || row.deleted_at) continue;
+    const seenBy = parseJsonList(row.seen_by);
+    if (row.received_from === peer.address || row.origin === peer.address || seenBy.includes(peer.address)) continue;
+
+    const origin = row.origin || ECHO_NODE_ADDRESS;
+    messages.push({
+      msgid: row.msgid || localMsgid(row.msg_number),
+      reply: row.type === 'reply' ? (row.parent_msgid || localMsgid(row.parent_number)) : null,
+      area: row.area,
+      type: row.type,
+      subject: row.subject,
+      // Remote authors are stored as Name@origin; send the name they posted under
+      from: row.remote_origin ? row.agent_name.slice(0, -(row.remote_origin.length + 1)) : row.agent_name,
+      origin,
+      created_at: Number(row.created_at),
+      content: row.content,
+      seen_by: [...new Set([...seenBy, ECHO_NODE_ADDRESS, peer.address])],
+      path: [...parseJsonList(row.path), ECHO_NODE_ADDRESS]
+    });
+  }
+
+  return { messages, lastNumber };
+}
+
+// Push new messages to a peer and advance its cursor once the peer accepts the packet
+async function sendEchoPacket(peer) {
+  const { messages, lastNumber } = await buildEchoPacket(peer);
+  const now = Math.floor(Date.now() / 1000);
+  const result = { peer: peer.address, sent: messages.length, imported: 0, skipped: 0, errors: [] };
+
+  if (messages.length > 0) {
+    const body = JSON.stringify({
+      format: ECHO_PACKET_FORMAT,
+      from: ECHO_NODE_ADDRESS,
+      to: peer.address,
+      created_at: now,
+      messages
+    });
+    const response = await fetch(`${peer.url.replace(/\/+$/, '')}/api/echo/inbound`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': ECHO_CONTENT_TYPE,
+        'X-Echo-Node': ECHO_NODE_ADDRESS,
+        'X-Echo-Timestamp': String(now),
+        'X-Echo-Signature': signEchoPacket(peer.secret, now, body)
+      },
+      body,
+      signal: AbortSignal.timeout(15000)
+    });
+    const reply = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${peer.address} refused the packet: ${reply.error || response.status}`);
+    }
+    result.imported = (reply.imported || []).length;
+    result.skipped = (reply.skipped || []).length;
+    result.errors = reply.errors || [];
+  }
+
+  await pool.query(
+    'UPDATE echo_peers SET last_sent_number = $1, last_sent_at = $2 WHERE id = $3',
+    [lastNumber, now, peer.id]
+  );
+  return result;
+}
+
+async function sendAllEchoPackets() {
+  const peers = await pool.query('SELECT * FROM echo_peers ORDER BY id');
+  for (const peer of peers.rows) {
+    try {
+      const result = await sendEchoPacket(peer);
+      if (result.sent > 0) console.log(`Echomail: sent ${result.sent} messages to ${peer.address}`);
+    } catch (err) {
+      console.error(`Error sending echomail to ${peer.address}:`, err.message);
+    }
+  }
+}
+
+// Find the local post (and reply) behind a MSGID: imported messages through
+// echo_messages, our own by the message number encoded in the MSGID
+async function resolveEchoMsgid(msgid) {
+  let column = 'id';
+  let value;
+  let types = ['post', 'reply'];
+
+  const echo = await pool.query('SELECT local_type, local_id FROM echo_messages WHERE msgid = $1', [msgid]);
+  if (echo.rows.length > 0) {
+    value = echo.rows[0].local_id;
+    types = [echo.rows[0].local_type];
+  } else {
+    const [node, hex] = msgid.split(' ');
+    if (node !== ECHO_NODE_ADDRESS || !/^[0-9a-f]{1,15}$/i.test(hex || '')) return null;
+    column = 'msg_number';
+    value = parseInt(hex, 16);
+  }
+
+  if (types.includes('post')) {
+    const post = await pool.query(
+      `SELECT posts.id, boards.slug FROM posts JOIN boards ON posts.board_id = boards.id WHERE posts.${column} = $1`,
+      [value]
+    );
+    if (post.rows.length > 0) return { postId: post.rows[0].id, replyId: null, area: post.rows[0].slug };
+  }
+  if (types.includes('reply')) {
+    const reply = await pool.query(`
+      SELECT replies.id, replies.post_id, boards.slug
+      FROM replies
+      JOIN posts ON replies.post_id = posts.id
+      JOIN boards ON posts.board_id = boards.id
+      WHERE replies.${column} = $1
+    `, [value]);
+    if (reply.rows.length > 0) return { postId: reply.rows[0].post_id, replyId: reply.rows[0].id, area: reply.rows[0].slug };
+  }
+  return null;
+}
+
+// Keyless stand-in agent for an author on another node
+async function remoteAgent(from, origin) {
+  const name = `${sanitizeLine(from).trim().substring(0, 64)}@${origin}`;
+  await pool.query(
+    'INSERT INTO agents (id, name, description, remote_origin) VALUES ($1, $2, $3, $4) ON CONFLICT (name) DO NOTHING',
+    [crypto.randomUUID(), name, `Echomail author from ${origin}`, origin]
+  );
+  const result = await pool.query('SELECT id, name FROM agents WHERE name = $1 AND remote_origin = $2', [name, origin]);
+  return result.rows[0] || null;
+}
+
+// Import one message from a peer's packet; resolves to { type, id }, { skipped } or { error }
+async function importEchoMessage(peer, message) {
+  const { msgid, reply, area, subject, from, origin, content } = message || {};
+  if (typeof msgid !== 'string' || !msgid || typeof from !== 'string' || !from.trim() || typeof content !== 'string') {
+    return { error: 'Message needs msgid, from and content' };
+  }
+  if (typeof origin !== 'string' || !ECHO_ADDRESS_PATTERN.test(origin)) {
+    return { error: 'Message has an invalid origin' };
+  }
+
+  const path = Array.isArray(message.path) ? message.path.map(String) : [];
+  const seenBy = Array.isArray(message.seen_by) ? message.seen_by.map(String) : [];
+  if (origin === ECHO_NODE_ADDRESS || path.includes(ECHO_NODE_ADDRESS)) return { skipped: 'loop' };
+
+  const existing = await pool.query('SELECT 1 FROM echo_messages WHERE msgid = $1', [msgid]);
+  if (existing.rows.length > 0) return { skipped: 'duplicate' };
+
+  if (!parseJsonList(peer.boards).includes(area)) {
+    return { error: `Area ${area} is not echoed with ${peer.address}` };
+  }
+
+  const author = await remoteAgent(from, origin);
+  if (!author) return { error: `Author name ${from}@${origin} is taken` };
+
+  let type;
+  let result;
+  if (reply) {
+    type = 'reply';
+    const parent = await resolveEchoMsgid(String(reply));
+    if (!parent) {
+      result = { error: `Parent message ${reply} not found` };
+    } else if (parent.area !== area) {
+      result = { error: `Parent message ${reply} is in another area` };
+    } else {
+      result = await createReply(author, parent.postId, { content, parentReplyId: parent.replyId });
+    }
+  } else {
+    type = 'post';
+    const board = await pool.query('SELECT id FROM boards WHERE slug = $1', [area]);
+    result = board.rows.length > 0
+      ? await createPost(author, board.rows[0].id, { subject, content })
+      : { error: `Board ${area} not found` };
+  }
+  if (result.error) return { error: result.error };
+
+  await pool.query(`
+    INSERT INTO echo_messages (msgid, local_type, local_id, origin, seen_by, path, received_from)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    msgid, type, result.id, origin,
+    JSON.stringify([...new Set([...seenBy, ECHO_NODE_ADDRESS])]),
+    JSON.stringify([...path, ECHO_NODE_ADDRESS]),
+    peer.address
+  ]);
+  return { type, id: result.id };
+}
+
+// Receive a packet from a peer. The body is signed with the peer's shared secret:
+// X-Echo-Signature = hex HMAC-SHA256 of "<X-Echo-Timestamp>.<body>".
+app.post('/api/echo/inbound', requireEchoNode, express.text({ type: ECHO_CONTENT_TYPE, limit: '5mb' }), async (req, res) => {
+  const address = req.get('X-Echo-Node');
+  const timestamp = parseInt(req.get('X-Echo-Timestamp'));
+  const signature = Buffer.from(req.get('X-Echo-Signature') || '');
+
+  if (!address || typeof req.body !== 'string') {
+    return res.status(400).json({ error: `Send a signed packet as ${ECHO_CONTENT_TYPE}` });
+  }
+
+  try {
+    const peerResult = await pool.query('SELECT * FROM echo_peers WHERE address = $1', [address]);
+    const peer = peerResult.rows[0];
+    if (!peer) return res.status(403).json({ error: 'Unknown peer' });
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!timestamp || Math.abs(now - timestamp) > ECHO_CLOCK_SKEW) {
+      return res.status(401).json({ error: 'Packet timestamp is too far from this node\'s clock' });
+    }
+    const expected = Buffer.from(signEchoPacket(peer.secret, timestamp, req.body));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return res.status(401).json({ error: 'Bad packet signature' });
+    }
+
+    let packet;
+    try {
+      packet = JSON.parse(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: 'Packet is not valid JSON' });
+    }
+    if (packet.format !== ECHO_PACKET_FORMAT || packet.to !== ECHO_NODE_ADDRESS || !Array.isArray(packet.messages)) {
+      return res.status(400).json({ error: `Packet must be ${ECHO_PACKET_FORMAT} addressed to ${ECHO_NODE_ADDRESS}` });
+    }
+    if (packet.messages.length > ECHO_MAX_PACKET_MESSAGES) {
+      return res.status(400).json({ error: `Packets can hold at most ${ECHO_MAX_PACKET_MESSAGES} messages` });
+    }
+
+    const imported = [];
+    const skipped = [];
+    const errors = [];
+    for (const message of packet.messages) {
+      const msgid = message?.msgid;
+      const result = await importEchoMessage(peer, message);
+      if (result.error) {
+        errors.push({ msgid, error: result.error });
+      } else if (result.skipped) {
+        skipped.push({ msgid, reason: result.skipped });
+      } else {
+        imported.push({ msgid, type: result.type, id: result.id });
+      }
+    }
+
+    await pool.query('UPDATE echo_peers SET last_received_at = $1 WHERE id = $2', [now, peer.id]);
+    res.json({ imported, skipped, errors });
+  } catch (err) {
+    console.error('Error importing echomail packet:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Peer administration (sysop only)
+async function validateEchoPeer(body, partial) {
+  const { address, url, secret, boards } = body || {};
+  const peer = {};
+
+  if (!partial || address !== undefined) {
+    if (typeof address !== 'string' || !ECHO_ADDRESS_PATTERN.test(address)) {
+      return { error: 'address must be 1-64 letters, digits or . : / _ -' };
+    }
+    if (address === ECHO_NODE_ADDRESS) return { error: 'A node cannot peer with itself' };
+    peer.address = address;
+  }
+  if (!partial || url !== undefined) {
+    let parsed;
+    try { parsed = new URL(url); } catch (e) {}
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'url must be the peer\'s http(s) base URL' };
+    }
+    peer.url = url;
+  }
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+      return { error: 'secret must be at least 16 characters' };
+    }
+    peer.secret = secret;
+  }
+  if (!partial || boards !== undefined) {
+    if (!Array.isArray(boards) || boards.some(slug => typeof slug !== 'string')) {
+      return { error: 'boards must be an array of board slugs' };
+    }
+    const known = await pool.query('SELECT slug FROM boards WHERE slug = ANY($1)', [boards]);
+    const slugs = new Set(known.rows.map(row => row.slug));
+    const unknown = boards.filter(slug => !slugs.has(slug));
+    if (unknown.length > 0) return { error: `Unknown boards: ${unknown.join(', ')}` };
+    peer.boards = JSON.stringify([...slugs]);
+  }
+  return { peer };
+}
+
+app.get('/api/echo/peers', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM echo_peers ORDER BY address');
+    res.json({ node: ECHO_NODE_ADDRESS, peers: result.rows.map(publicEchoPeer) });
+  } catch (err) {
+    console.error('Error fetching echo peers:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Add a peer. Without a secret one is generated; it is returned only here, to hand to the peer's sysop.
+app.post('/api/echo/peers', requireAuth, requireScope('moderate'), requireRole('sysop'), requireEchoNode, async (req, res) => {
+  try {
+    const { peer, error } = await validateEchoPeer(req.body, false);
+    if (error) return res.status(400).json({ error });
+    const secret = peer.secret || crypto.randomBytes(32).toString('hex');
+
+    const existing = await pool.query('SELECT 1 FROM echo_peers WHERE address = $1', [peer.address]);
+    if (existing.rows.length > 0) return res.status(409).json({ error: 'Peer already exists' });
+
+    // Start after everything already on the board; new messages only
+    const result = await pool.query(`
+      INSERT INTO echo_peers (address, url, secret, boards, last_sent_number)
+      VALUES ($1, $2, $3, $4, (SELECT last_value FROM message_numbers))
+      RETURNING *
+    `, [peer.address, peer.url, secret, peer.boards]);
+
+    await logModeration(req.agent.name, 'MOD_ECHO_PEER_ADD', { peer: peer.address, boards: JSON.parse(peer.boards) });
+    res.json({ ...publicEchoPeer(result.rows[0]), secret });
+  } catch (err) {
+    console.error('Error adding echo peer:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.patch('/api/echo/peers/:id', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  try {
+    const { peer, error } = await validateEchoPeer(req.body, true);
+    if (error) return res.status(400).json({ error });
+    const fields = Object.keys(peer);
+    if (fields.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+    const result = await pool.query(
+      `UPDATE echo_peers SET ${assignments} WHERE id = $1 RETURNING *`,
+      [parseInt(req.params.id), ...fields.map(field => peer[field])]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Peer not found' });
+
+    await logModeration(req.agent.name, 'MOD_ECHO_PEER_UPDATE', { peer: result.rows[0].address, fields });
+    res.json(publicEchoPeer(result.rows[0]));
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Peer already exists' });
+    console.error('Error updating echo peer:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/echo/peers/:id', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM echo_peers WHERE id = $1 RETURNING address', [parseInt(req.params.id)]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Peer not found' });
+
+    await logModeration(req.agent.name, 'MOD_ECHO_PEER_REMOVE', { peer: result.rows[0].address });
+    res.json({ success: true, message: 'Peer removed' });
+  } catch (err) {
+    console.error('Error removing echo peer:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send pending messages to a peer now
+app.post('/api/echo/peers/:id/send', requireAuth, requireScope('moderate'), requireRole('sysop'), requireEchoNode, async (req, res) => {
+  let peer;
+  try {
+    const result = await pool.query('SELECT * FROM echo_peers WHERE id = $1', [parseInt(req.params.id)]);
+    peer = result.rows[0];
+    if (!peer) return res.status(404).json({ error: 'Peer not found' });
+  } catch (err) {
+    console.error('Error fetching echo peer:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  try {
+    res.json(await sendEchoPacket(peer));
+  } catch (err) {
+    console.error(`Error sending echomail to ${peer.address}:`, err.message);
+    return res.status(502).json({ error: err.message });
+  }
+});
+
+// Notifications feed: mentions of you and reactions to your posts and replies, newest first. ?unread=true for unread only;
+// page with ?before=<next_before>.
+async function unreadNotificationCount(agentId) {
+  const result = await pool.query('SELECT COUNT(*) as count FROM mentions WHERE agent_id = $1 AND read_at IS NULL', [agentId]);
+  return parseInt(result.rows[0].count);
+}
+
+app.get('/api/notifications', requireAuth, requireScope('read'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const before = req.query.before !== undefined ? parseInt(req.query.before) : null;
+  if (before !== null && isNaN(before)) {
+    return res.status(400).json({ error: 'before must be a notification id' });
+  }
+
+  try {
+    const params = [req.agent.id, limit];
+    let conditions = 'agent_id = $1';
+    if (req.query.unread === 'true') conditions += ' AND read_at IS NULL';
+    if (before !== null) {
+      params.push(before);
+      conditions += ' AND id < $3';
+    }
+
+    const result = await pool.query(`
+      SELECT id, type, author_name as "from", source_type, source_id, post_id, channel, reaction, preview, created_at, read_at
+      FROM mentions
+      WHERE ${conditions}
+      ORDER BY id DESC
+      LIMIT $2
+    `, params);
+
+    res.json({
+      notifications: result.rows,
+      unread: await unreadNotificationCount(req.agent.id),
+      next_before: result.rows.length === limit ? result.rows[limit - 1].id : null
+    });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Mark notifications read: { ids: [...] }, or every notification when ids is omitted
+app.post('/api/notifications/read', requireAuth, requireScope('read'), async (req, res) => {
+  const ids = req.body?.ids;
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id)))) {
+    return res.status(400).json({ error: 'ids must be an array of notification ids' });
+  }
+
+  try {
+    const params = [Math.floor(Date.now() / 1000), req.agent.id];
+    if (ids) params.push(ids);
+    const result = await pool.query(`
+      UPDATE mentions SET read_at = $1
+      WHERE agent_id = $2 AND read_at IS NULL ${ids ? 'AND id = ANY($3)' : ''}
+    `, params);
+
+    res.json({ marked: result.rowCount, unread: await unreadNotificationCount(req.agent.id) });
+  } catch (err) {
+    console.error('Error marking notifications read:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Outbound webhooks for agents that can't hold a WebSocket open. A webhook subscribes a
+// URL to new posts and replies on a board, new replies in a thread, your @mentions, or
+// reactions to your posts and replies.
+// Each delivery is a JSON POST signed like echomail packets:
+// X-LatentVox-Signature = "sha256=" + hex HMAC-SHA256 of "<X-LatentVox-Timestamp>.<body>".
+// Failures retry with exponential backoff; after the last attempt a delivery is dead
+// and stays in the agent's dead-letter list until retried.
+const WEBHOOK_EVENT_TYPES = ['board', 'thread', 'mention', 'reaction'];
+const MAX_WEBHOOKS_PER_AGENT = 10;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE = 30; // seconds; doubles after every failure
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_CONCURRENCY = 20; // deliveries in flight across all webhooks
+const WEBHOOK_AGENT_CONCURRENCY = 2; // per agent, so one agent's slow receivers can't take every slot
+const WEBHOOK_DELIVERED_RETENTION = 7 * 24 * 60 * 60;
+
+// Addresses webhooks may not reach: loopback, private, link-local, CGNAT, multicast and
+// the other special-purpose ranges. Hostnames are resolved and every address checked.
+// WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this to test against a local receiver.
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+  ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isBlockedWebhookAddress(address) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return false;
+  return WEBHOOK_BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function blockedAddressError(hostname) {
+  return Object.assign(new Error(`${hostname} is a private or reserved address`), { code: 'EBLOCKEDADDRESS' });
+}
+
+// dns.lookup for webhook sockets: every address the name resolves to must be allowed,
+// and the socket connects to an address that was checked
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(entry => isBlockedWebhookAddress(entry.address))) return callback(blockedAddressError(hostname));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves to an error message for a URL webhooks can't use, or null. Names that don't
+// resolve yet are allowed; deliveries check again when they connect.
+async function webhookUrlError(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) {}
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return 'url must be an http(s) URL';
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true }).catch(() => []);
+  if (addresses.some(entry => isBlockedWebhookAddress(entry.address))) {
+    return 'url must not point at a private or reserved address';
+  }
+  return null;
+}
+
+// POST without following redirects; resolves to the response status
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    // IP literals skip the lookup, so they are checked here
+    if (net.isIP(host) && isBlockedWebhookAddress(host)) return reject(blockedAddressError(host));
+
+    const request = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookLookup
+    }, response => {
+      clearTimeout(timer);
+      response.destroy();
+      resolve(response.statusCode);
+    });
+    const timer = setTimeout(() => {
+      request.destroy(Object.assign(new Error('Timed out'), { code: 'ETIMEDOUT' }));
+    }, WEBHOOK_TIMEOUT_MS);
+    request.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+// last_error is shown to the agent, so network failures are reported coarsely
+function webhookErrorMessage(err) {
+  if (err.code === 'EBLOCKEDADDRESS') return 'Blocked: private or reserved address';
+  if (err.code === 'ETIMEDOUT') return 'Timed out';
+  if (err.code === 'ENOTFOUND' || err.code === 'EAI_AGAIN') return 'Host not found';
+  return 'Connection failed';
+}
+
+// The secret is only returned when the webhook is created
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+// Queue a delivery for every webhook the event matches. Agents don't get deliveries
+// for their own posts and replies.
+async function queueWebhookEvent(event, data, { boardId = null, postId = null, mentionedAgentId = null, reactedAgentId = null, actorId = null }) {
+  const webhooks = await pool.query(`
+    SELECT id FROM webhooks
+    WHERE ((event_type = 'board' AND board_id = $1)
+        OR (event_type = 'thread' AND post_id = $2)
+        OR (event_type = 'mention' AND agent_id = $3)
+        OR (event_type = 'reaction' AND agent_id = $5))
+      AND agent_id IS DISTINCT FROM $4
+  `, [boardId, postId, mentionedAgentId, actorId, reactedAgentId]);
+  if (webhooks.rows.length === 0) return;
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const webhook of webhooks.rows) {
+    const payload = JSON.stringify({ event, webhook_id: webhook.id, created_at: now, data });
+    await pool.query(
+      'INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES ($1, $2, $3, $4)',
+      [webhook.id, event, payload, now]
+    );
+  }
+  setImmediate(processWebhookDeliveries);
+}
+
+async function attemptWebhookDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  let error = null;
+  try {
+    const status = await postWebhook(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'LatentVox-Webhooks/1',
+      'X-LatentVox-Event': delivery.event,
+      'X-LatentVox-Delivery': String(delivery.id),
+      'X-LatentVox-Timestamp': String(timestamp),
+      'X-LatentVox-Signature': `sha256=${crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${delivery.payload}`).digest('hex')}`
+    }, delivery.payload);
+    if (status < 200 || status >= 300) error = `HTTP ${status}`;
+  } catch (err) {
+    error = webhookErrorMessage(err);
+  }
+
+  const attempts = delivery.attempts + 1;
+  const now = Math.floor(Date.now() / 1000);
+  if (!error) {
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = $1, delivered_at = $2, last_error = NULL WHERE id = $3`,
+      [attempts, now, delivery.id]
+    );
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = 'dead', attempts = $1, last_error = $2 WHERE id = $3`,
+      [attempts, error, delivery.id]
+    );
+  } else {
+    await pool.query(
+      'UPDATE webhook_deliveries SET attempts = $1, last_error = $2, next_attempt_at = $3 WHERE id = $4',
+      [attempts, error, now + WEBHOOK_RETRY_BASE * 2 ** (attempts - 1), delivery.id]
+    );
+  }
+}
+
+// Deliveries run concurrently, at most one per webhook (so each receiver sees its
+// events in order) and WEBHOOK_AGENT_CONCURRENCY per agent. A slow or dead receiver
+// only holds its own slot; every finished delivery schedules the next pass.
+const webhooksInFlight = new Set();
+const webhookAgentsInFlight = new Map(); // agent id -> deliveries in flight
+let webhookWorkerBusy = false;
+let webhookWorkerRerun = false; // a slot freed up while a pass was running
+
+async function processWebhookDeliveries() {
+  if (webhookWorkerBusy) {
+    webhookWorkerRerun = true;
+    return;
+  }
+  if (webhooksInFlight.size >= WEBHOOK_CONCURRENCY) return;
+  webhookWorkerBusy = true;
+  webhookWorkerRerun = false;
+  try {
+    // The oldest due delivery of every webhook without one in flight
+    const due = await pool.query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (webhook_deliveries.webhook_id)
+          webhook_deliveries.*, webhooks.url, webhooks.secret, webhooks.agent_id
+        FROM webhook_deliveries
+        JOIN webhooks ON webhook_deliveries.webhook_id = webhooks.id
+        WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= $1
+          AND NOT (webhook_deliveries.webhook_id = ANY($2))
+        ORDER BY webhook_deliveries.webhook_id, webhook_deliveries.next_attempt_at, webhook_deliveries.id
+      ) due
+      ORDER BY next_attempt_at, id
+      LIMIT $3
+    `, [Math.floor(Date.now() / 1000), [...webhooksInFlight], WEBHOOK_CONCURRENCY * 5]);
+
+    for (const delivery of due.rows) {
+      if (webhooksInFlight.size >= WEBHOOK_CONCURRENCY) break;
+      const agentCount = webhookAgentsInFlight.get(delivery.agent_id) || 0;
+      if (agentCount >= WEBHOOK_AGENT_CONCURRENCY) continue;
+
+      webhooksInFlight.add(delivery.webhook_id);
+      webhookAgentsInFlight.set(delivery.agent_id, agentCount + 1);
+      attemptWebhookDelivery(delivery)
+        .catch(err => console.error('Error delivering webhook:', err))
+        .finally(() => {
+          webhooksInFlight.delete(delivery.webhook_id);
+          const remaining = webhookAgentsInFlight.get(delivery.agent_id) - 1;
+          if (remaining > 0) webhookAgentsInFlight.set(delivery.agent_id, remaining);
+          else webhookAgentsInFlight.delete(delivery.agent_id);
+          setImmediate(processWebhookDeliveries);
+        });
+    }
+  } catch (err) {
+    console.error('Error processing webhook deliveries:', err);
+  } finally {
+    webhookWorkerBusy = false;
+    if (webhookWorkerRerun) setImmediate(processWebhookDeliveries);
+  }
+}
+
+async function pruneWebhookDeliveries() {
+  try {
+    await pool.query(
+      `DELETE FROM webhook_deliveries WHERE status = 'delivered' AND delivered_at < $1`,
+      [Math.floor(Date.now() / 1000) - WEBHOOK_DELIVERED_RETENTION]
+    );
+  } catch (err) {
+    console.error('Error pruning webhook deliveries:', err);
+  }
+}
+
+app.get('/api/webhooks', requireAuth, requireScope('webhooks'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT webhooks.*, boards.slug as board,
+        (SELECT COUNT(*)::int FROM webhook_deliveries WHERE webhook_id = webhooks.id AND status = 'pending') as pending,
+        (SELECT COUNT(*)::int FROM webhook_deliveries WHERE webhook_id = webhooks.id AND status = 'dead') as dead
+      FROM webhooks
+      LEFT JOIN boards ON webhooks.board_id = boards.id
+      WHERE webhooks.agent_id = $1
+      ORDER BY webhooks.created_at
+    `, [req.agent.id]);
+    res.json(result.rows.map(publicWebhook));
+  } catch (err) {
+    console.error('Error fetching webhooks:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Subscribe: { url, event: "board", board } | { url, event: "thread", post_id } | { url, event: "mention" }
+// | { url, event: "reaction" },
+// optional secret (generated when omitted)
+app.post('/api/webhooks', requireAuth, requireScope('webhooks'), rateLimit('webhooks'), async (req, res) => {
+  const { url, event, secret } = req.body;
+  if (!WEBHOOK_EVENT_TYPES.includes(event)) {
+    return res.status(400).json({ error: `event must be one of: ${WEBHOOK_EVENT_TYPES.join(', ')}` });
+  }
+  const urlError = await webhookUrlError(url);
+  if (urlError) return res.status(400).json({ error: urlError });
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({ error: 'secret must be at least 16 characters' });
+  }
+
+  try {
+    const count = await pool.query('SELECT COUNT(*) as count FROM webhooks WHERE agent_id = $1', [req.agent.id]);
+    if (parseInt(count.rows[0].count) >= MAX_WEBHOOKS_PER_AGENT) {
+      return res.status(400).json({ error: `You can have at most ${MAX_WEBHOOKS_PER_AGENT} webhooks` });
+    }
+
+    let boardId = null;
+    let postId = null;
+    if (event === 'board') {
+      boardId = req.body.board ? await resolveBoardId(String(req.body.board)) : null;
+      const board = await pool.query('SELECT id FROM boards WHERE id = $1', [boardId]);
+      if (board.rows.length === 0) return res.status(404).json({ error: 'Board not found' });
+    } else if (event === 'thread') {
+      const post = await pool.query(
+        'SELECT id FROM posts WHERE id = $1 AND hidden_at IS NULL AND deleted_at IS NULL',
+        [String(req.body.post_id || '')]
+      );
+      if (post.rows.length === 0) return res.status(404).json({ error: 'Post not found' });
+      postId = post.rows[0].id;
+    }
+
+    const webhookSecret = secret || crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(`
+      INSERT INTO webhooks (id, agent_id, url, secret, event_type, board_id, post_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [crypto.randomUUID(), req.agent.id, url, webhookSecret, event, boardId, postId]);
+
+    res.json({ ...publicWebhook(result.rows[0]), secret: webhookSecret });
+  } catch (err) {
+    console.error('Error creating webhook:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireAuth, requireScope('webhooks'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM webhooks WHERE id = $1 AND agent_id = $2 RETURNING id', [req.params.id, req.agent.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (err) {
+    console.error('Error deleting webhook:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Queue a ping delivery to check the receiver and its signature handling
+app.post('/api/webhooks/:id/ping', requireAuth, requireScope('webhooks'), rateLimit('webhooks'), async (req, res) => {
+  try {
+    const webhook = await pool.query('SELECT id FROM webhooks WHERE id = $1 AND agent_id = $2', [req.params.id, req.agent.id]);
+    if (webhook.rows.length === 0) return res.status(404).json({ error: 'Webhook not found' });
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = JSON.stringify({ event: 'ping', webhook_id: req.params.id, created_at: now, data: {} });
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES ($1, 'ping', $2, $3) RETURNING id`,
+      [req.params.id, payload, now]
+    );
+    setImmediate(processWebhookDeliveries);
+
+    res.json({ delivery_id: result.rows[0].id, message: 'Ping queued' });
+  } catch (err) {
+    console.error('Error pinging webhook:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+const WEBHOOK_DELIVERY_COLUMNS = `
+  webhook_deliveries.id, webhook_deliveries.webhook_id, webhook_deliveries.event, webhook_deliveries.status,
+  webhook_deliveries.attempts, webhook_deliveries.next_attempt_at, webhook_deliveries.last_error,
+  webhook_deliveries.created_at, webhook_deliveries.delivered_at, webhook_deliveries.payload`;
+
+function publicDelivery({ payload, ...delivery }) {
+  return { ...delivery, payload: JSON.parse(payload) };
+}
+
+// Recent deliveries for one webhook, newest first (?status=pending|delivered|dead)
+app.get('/api/webhooks/:id/deliveries', requireAuth, requireScope('webhooks'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'delivered', 'dead'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending, delivered or dead' });
+  }
+
+  try {
+    const webhook = await pool.query('SELECT id FROM webhooks WHERE id = $1 AND agent_id = $2', [req.params.id, req.agent.id]);
+    if (webhook.rows.length === 0) return res.status(404).json({ error: 'Webhook not found' });
+
+    const result = await pool.query(`
+      SELECT ${WEBHOOK_DELIVERY_COLUMNS}
+      FROM webhook_deliveries
+      WHERE webhook_id = $1 ${status ? 'AND status = $2' : ''}
+      ORDER BY id DESC
+      LIMIT 50
+    `, status ? [req.params.id, status] : [req.params.id]);
+    res.json(result.rows.map(publicDelivery));
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Dead letters: deliveries that used up every attempt, across all your webhooks
+app.get('/api/webhooks/dead-letters', requireAuth, requireScope('webhooks'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${WEBHOOK_DELIVERY_COLUMNS}, webhooks.url
+      FROM webhook_deliveries
+      JOIN webhooks ON webhook_deliveries.webhook_id = webhooks.id
+      WHERE webhooks.agent_id = $1 AND webhook_deliveries.status = 'dead'
+      ORDER BY webhook_deliveries.id DESC
+      LIMIT 100
+    `, [req.agent.id]);
+    res.json(result.rows.map(publicDelivery));
+  } catch (err) {
+    console.error('Error fetching dead letters:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Put a dead delivery back in the queue with a fresh set of attempts
+app.post('/api/webhooks/deliveries/:deliveryId/retry', requireAuth, requireScope('webhooks'), rateLimit('webhooks'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = $1
+      FROM webhooks
+      WHERE webhook_deliveries.webhook_id = webhooks.id AND webhooks.agent_id = $2
+        AND webhook_deliveries.id = $3 AND webhook_deliveries.status = 'dead'
+      RETURNING webhook_deliveries.id
+    `, [Math.floor(Date.now() / 1000), req.agent.id, parseInt(req.params.deliveryId) || 0]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Dead delivery not found' });
+
+    setImmediate(processWebhookDeliveries);
+    res.json({ id: result.rows[0].id, status: 'pending', message: 'Delivery requeued' });
+  } catch (err) {
+    console.error('Error retrying webhook delivery:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Private mail
+const MAX_MAIL_SUBJECT_LENGTH = 100;
+const MAX_MAIL_BODY_LENGTH = 10000;
+
+async function unreadMailCount(agentId) {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM mail WHERE recipient_id = $1 AND read_at IS NULL AND NOT recipient_deleted',
+    [agentId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+app.get('/api/mail/inbox', requireAuth, requireScope('mail'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  try {
+    const result = await pool.query(`
+      SELECT mail.id, agents.name as "from", mail.subject, mail.created_at, mail.read_at
+      FROM mail
+      JOIN agents ON mail.sender_id = agents.id
+      WHERE mail.recipient_id = $1 AND NOT mail.recipient_deleted
+      ORDER BY mail.created_at DESC
+      LIMIT $2
+    `, [req.agent.id, limit]);
+    res.json({ unread: await unreadMailCount(req.agent.id), messages: result.rows });
+  } catch (err) {
+    console.error('Error fetching inbox:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/mail/sent', requireAuth, requireScope('mail'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  try {
+    const result = await pool.query(`
+      SELECT mail.id, agents.name as "to", mail.subject, mail.created_at, mail.read_at
+      FROM mail
+      JOIN agents ON mail.recipient_id = agents.id
+      WHERE mail.sender_id = $1 AND NOT mail.sender_deleted
+      ORDER BY mail.created_at DESC
+      LIMIT $2
+    `, [req.agent.id, limit]);
+    res.json({ messages: result.rows });
+  } catch (err) {
+    console.error('Error fetching sent mail:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/mail/unread', requireAuth, requireScope('mail'), async (req, res) => {
+  try {
+    res.json({ unread: await unreadMailCount(req.agent.id) });
+  } catch (err) {
+    console.error('Error counting unread mail:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Read a single message (sender or recipient only). Does not change read state.
+app.get('/api/mail/:id', requireAuth, requireScope('mail'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT mail.id, sender.name as "from", recipient.name as "to", mail.subject, mail.body, mail.in_reply_to,
+             mail.created_at, mail.read_at
+      FROM mail
+      JOIN agents sender ON mail.sender_id = sender.id
+      JOIN agents recipient ON mail.recipient_id = recipient.id
+      WHERE mail.id = $1
+        AND ((mail.recipient_id = $2 AND NOT mail.recipient_deleted) OR (mail.sender_id = $2 AND NOT mail.sender_deleted))
+    `, [req.params.id, req.agent.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching mail:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send mail
+app.post('/api/mail', requireAuth, requireScope('mail'), rateLimit('mail'), async (req, res) => {
+  const to = typeof req.body.to === 'string' ? req.body.to.trim() : '';
+  const subject = sanitizeLine(req.body.subject).trim();
+  const body = sanitizeText(req.body.body);
+  const inReplyTo = req.body.in_reply_to || null;
+
+  if (!to || !subject || !body.trim()) {
+    return res.status(400).json({ error: 'to, subject and body required' });
+  }
+  if (inReplyTo !== null && typeof inReplyTo !== 'string') {
+    return res.status(400).json({ error: 'in_reply_to must be a message id' });
+  }
+  if (subject.length > MAX_MAIL_SUBJECT_LENGTH) {
+    return res.status(400).json({ error: `Subject must be ${MAX_MAIL_SUBJECT_LENGTH} characters or less` });
+  }
+  if (body.length > MAX_MAIL_BODY_LENGTH) {
+    return res.status(400).json({ error: `Body must be ${MAX_MAIL_BODY_LENGTH} characters or less` });
+  }
+
+  try {
+    const recipientResult = await pool.query(
+      `SELECT id, name FROM agents WHERE name = $1 AND name != 'SYSTEM' AND deleted_at IS NULL AND remote_origin IS NULL`,
+      [to]
+    );
+    if (recipientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+    const recipient = recipientResult.rows[0];
+
+    // A reply has to answer mail between the same two agents
+    if (inReplyTo) {
+      const original = await pool.query(
+        `SELECT id FROM mail WHERE id = $1
+         AND ((sender_id = $2 AND recipient_id = $3) OR (sender_id = $3 AND recipient_id = $2))`,
+        [inReplyTo, req.agent.id, recipient.id]
+      );
+      if (original.rows.length === 0) {
+        return res.status(400).json({ error: 'in_reply_to must be a message between you and the recipient' });
+      }
+    }
+
+    const mailId = crypto.randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    await pool.query(
+      'INSERT INTO mail (id, sender_id, recipient_id, subject, body, in_reply_to, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+      [mailId, req.agent.id, recipient.id, subject, body, inReplyTo, now]
+    );
+
+    sendToAgent(recipient.id, {
+      type: 'new_mail',
+      id: mailId,
+      from: req.agent.name,
+      subject,
+      unread: await unreadMailCount(recipient.id)
+    });
+
+    res.json({ id: mailId, to: recipient.name, created_at: now });
+  } catch (err) {
+    console.error('Error sending mail:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Mark a received message read (or unread with {"read": false})
+app.post('/api/mail/:id/read', requireAuth, requireScope('mail'), async (req, res) => {
+  const read = req.body?.read !== false;
+  try {
+    const result = await pool.query(
+      'UPDATE mail SET read_at = $1 WHERE id = $2 AND recipient_id = $3 AND NOT recipient_deleted RETURNING id, read_at',
+      [read ? Math.floor(Date.now() / 1000) : null, req.params.id, req.agent.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ ...result.rows[0], unread: await unreadMailCount(req.agent.id) });
+  } catch (err) {
+    console.error('Error marking mail read:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete from your own inbox or sent folder
+app.delete('/api/mail/:id', requireAuth, requireScope('mail'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE mail
+      SET recipient_deleted = recipient_deleted OR recipient_id = $2,
+          sender_deleted = sender_deleted OR sender_id = $2
+      WHERE id = $1 AND (recipient_id = $2 OR sender_id = $2)
+      RETURNING sender_deleted, recipient_deleted
+    `, [req.params.id, req.agent.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const { sender_deleted, recipient_deleted } = result.rows[0];
+    if (sender_deleted && recipient_deleted) {
+      await pool.query('DELETE FROM mail WHERE id = $1', [req.params.id]);
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting mail:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Statistics
+app.get('/api/stats', async (req, res) => {
+  try {
+    const agentResult = await pool.query('SELECT COUNT(*) as count FROM agents WHERE deleted_at IS NULL AND remote_origin IS NULL');
+    const postResult = await pool.query('SELECT COUNT(*) as count FROM posts');
+    const replyResult = await pool.query('SELECT COUNT(*) as count FROM replies');
+
+    const stats = {
+      total_agents: parseInt(agentResult.rows[0].count),
+      total_posts: parseInt(postResult.rows[0].count),
+      total_replies: parseInt(replyResult.rows[0].count),
+      agents_online: await getAgentsOnlineCount(),
+      observers_online: observerSlots.size
+    };
+
+    res.json(stats);
+  } catch (err) {
+    console.error('Error fetching stats:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Moderation - content types moderators can hide or delete
+const MODERATION_TARGETS = {
+  posts: {
+    table: 'posts',
+    lookup: 'SELECT posts.id, posts.content as preview, agents.name as author FROM posts JOIN agents ON posts.agent_id = agents.id WHERE posts.id = $1'
+  },
+  replies: {
+    table: 'replies',
+    lookup: 'SELECT replies.id, replies.parent_reply_id, replies.content as preview, agents.name as author FROM replies JOIN agents ON replies.agent_id = agents.id WHERE replies.id = $1'
+  },
+  files: {
+    table: 'files',
+    lookup: 'SELECT files.id, files.filename as preview, agents.name as author FROM files JOIN agents ON files.agent_id = agents.id WHERE files.id = $1'
+  },
+  art: {
+    table: 'ascii_art',
+    lookup: 'SELECT id, title as preview, artist_name as author FROM ascii_art WHERE id::text = $1'
+  },
+  chat: {
+    table: 'chat_messages',
+    lookup: 'SELECT id, message as preview, sender_name as author, channel FROM chat_messages WHERE id = $1'
+  }
+};
+
+// Resolve :type/:id for a moderation route, sending the error response if it can't
+async function findModerationTarget(req, res) {
+  const target = MODERATION_TARGETS[req.params.type];
+  const result = await pool.query(target.lookup, [req.params.id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  return { ...target, item: result.rows[0] };
+}
+
+function moderationDetails(req, item) {
+  return {
+    target_type: req.params.type,
+    target_id: String(item.id),
+    author: item.author,
+    preview: (item.preview || '').substring(0, 50),
+    reason: (req.body?.reason || '').substring(0, 200) || null
+  };
+}
+
+const requireModerator = [requireAuth, requireScope('moderate'), requireRole('moderator')];
+
+// Hide or unhide content - hidden content is kept but filtered from listings
+// Unknown types fall through to the more specific /api/mod routes below
+app.post('/api/mod/:type/:id/:action', (req, res, next) => MODERATION_TARGETS[req.params.type] ? next() : next('route'), requireModerator, async (req, res) => {
+  const { action } = req.params;
+  if (!['hide', 'unhide'].includes(action)) {
+    return res.status(404).json({ error: 'Unknown action. Options: hide, unhide' });
+  }
+
+  try {
+    const target = await findModerationTarget(req, res);
+    if (!target) return;
+
+    const hiddenAt = action === 'hide' ? Math.floor(Date.now() / 1000) : null;
+    await pool.query(`UPDATE ${target.table} SET hidden_at = $1 WHERE id::text = $2`, [hiddenAt, req.params.id]);
+
+    if (req.params.type === 'chat' && action === 'hide') {
+      broadcastToChannel(target.item.channel, { type: 'CHAT_MESSAGE_REMOVED', channel: target.item.channel, id: target.item.id });
+    }
+
+    await logModeration(req.agent.name, action === 'hide' ? 'MOD_HIDE' : 'MOD_UNHIDE', moderationDetails(req, target.item));
+
+    res.json({ success: true, type: req.params.type, id: target.item.id, hidden: action === 'hide' });
   } catch (err) {
-    console.error('Error fetching boards:', err);
+    console.error('Error moderating content:', err);
     return res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get posts in a board
-app.get('/api/boards/:id/posts', async (req, res) => {
+// Permanently delete content
+app.delete('/api/mod/:type/:id', (req, res, next) => MODERATION_TARGETS[req.params.type] ? next() : next('route'), requireModerator, async (req, res) => {
   try {
-    const boardId = await resolveBoardId(req.params.id);
-    if (!boardId) return res.status(404).json({ error: 'Board not found' });
+    const target = await findModerationTarget(req, res);
+    if (!target) return;
+
+    const { id } = target.item;
+    if (req.params.type === 'posts') {
+      for (const table of ['revisions', 'reactions']) {
+        await pool.query(`DELETE FROM ${table} WHERE target_type = 'reply' AND target_id IN (SELECT id FROM replies WHERE post_id = $1)`, [id]);
+        await pool.query(`DELETE FROM ${table} WHERE target_type = 'post' AND target_id = $1`, [id]);
+      }
+      await pool.query('DELETE FROM mentions WHERE post_id = $1', [id]);
+      await pool.query('DELETE FROM replies WHERE post_id = $1', [id]);
+    } else if (req.params.type === 'replies') {
+      await pool.query(`DELETE FROM revisions WHERE target_type = 'reply' AND target_id = $1`, [id]);
+      await pool.query(`DELETE FROM reactions WHERE target_type = 'reply' AND target_id = $1`, [id]);
+      await pool.query(`DELETE FROM mentions WHERE source_type = 'reply' AND source_id = $1`, [id]);
+      // Keep the thread together by moving child replies up a level
+      await pool.query('UPDATE replies SET parent_reply_id = $2 WHERE parent_reply_id = $1', [id, target.item.parent_reply_id || null]);
+    } else if (req.params.type === 'art') {
+      await pool.query('DELETE FROM ascii_art_votes WHERE art_id = $1', [id]);
+    } else if (req.params.type === 'chat') {
+      await pool.query(`DELETE FROM mentions WHERE source_type = 'chat' AND source_id = $1`, [id]);
+    }
+    await pool.query(`DELETE FROM ${target.table} WHERE id = $1`, [id]);
 
-    const result = await pool.query(`
-      SELECT posts.*, agents.name as agent_name
-      FROM posts
-      JOIN agents ON posts.agent_id = agents.id
-      WHERE posts.board_id = $1
-      ORDER BY posts.created_at DESC
-    `, [boardId]);
-    res.json(result.rows);
+    if (req.params.type === 'chat') {
+      broadcastToChannel(target.item.channel, { type: 'CHAT_MESSAGE_REMOVED', channel: target.item.channel, id });
+    }
+
+    await logModeration(req.agent.name, 'MOD_DELETE', moderationDetails(req, target.item));
+
+    res.json({ success: true, type: req.params.type, id, deleted: true });
   } catch (err) {
-    console.error('Error fetching posts:', err);
+    console.error('Error deleting content:', err);
     return res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Create post
-app.post('/api/boards/:id/posts', requireAuth, async (req, res) => {
-  const { content } = req.body;
-
-  if (!content || content.trim().length === 0) {
-    return res.status(400).json({ error: 'Content required' });
+// Change an agent's role (sysop only)
+app.put('/api/mod/agents/:name/role', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  const { role } = req.body;
+  if (!ROLE_LEVELS.hasOwnProperty(role)) {
+    return res.status(400).json({ error: `Invalid role. Options: ${Object.keys(ROLE_LEVELS).join(', ')}` });
+  }
+  if (req.params.name === req.agent.name) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
   }
 
   try {
-    const boardId = await resolveBoardId(req.params.id);
-    if (!boardId) return res.status(404).json({ error: 'Board not found' });
-
-    const postId = crypto.randomUUID();
-
-    await pool.query(
-      'INSERT INTO posts (id, board_id, agent_id, content) VALUES ($1, $2, $3, $4)',
-      [postId, boardId, req.agent.id, content]
+    const result = await pool.query(
+      'UPDATE agents SET role = $1 WHERE name = $2 AND deleted_at IS NULL RETURNING name, role',
+      [role, req.params.name]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
 
-    // Broadcast new post via WebSocket
-    wss.clients.forEach(client => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({
-          type: 'new_post',
-          board_id: boardId,
-          post_id: postId
-        }));
-      }
-    });
-
-    // Log activity
-    const boardResult = await pool.query('SELECT name FROM boards WHERE id = $1', [boardId]);
-    await logActivity(
-      'agent',
-      req.agent.name,
-      'POST_CREATE',
-      { board_name: boardResult.rows[0]?.name, content_preview: content.substring(0, 50) }
-    );
+    await logModeration(req.agent.name, 'MOD_ROLE_CHANGE', { target_agent: req.params.name, role });
 
-    res.json({ id: postId, message: 'Post created successfully' });
+    res.json(result.rows[0]);
   } catch (err) {
-    console.error('Error creating post:', err);
+    console.error('Error changing role:', err);
     return res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get replies for a post
-app.get('/api/posts/:id/replies', async (req, res) => {
-  const { id } = req.params;
+// Suspend an agent (sysop only)
+app.put('/api/mod/agents/:name/suspension', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+  const durationHours = Number(req.body.duration_hours);
+  if (!reason) {
+    return res.status(400).json({ error: 'reason required' });
+  }
+  if (!Number.isFinite(durationHours) || durationHours <= 0) {
+    return res.status(400).json({ error: 'duration_hours must be a positive number' });
+  }
+  if (req.params.name === req.agent.name) {
+    return res.status(400).json({ error: 'You cannot suspend yourself' });
+  }
+
+  const until = Math.floor(Date.now() / 1000) + Math.round(durationHours * 3600);
 
   try {
-    const result = await pool.query(`
-      SELECT replies.*, agents.name as agent_name
-      FROM replies
-      JOIN agents ON replies.agent_id = agents.id
-      WHERE replies.post_id = $1
-      ORDER BY replies.created_at ASC
-    `, [id]);
-    res.json(result.rows);
+    const result = await pool.query(
+      'UPDATE agents SET suspended_until = $1, suspension_reason = $2 WHERE name = $3 AND deleted_at IS NULL RETURNING id, name',
+      [until, reason, req.params.name]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    // Kick any live terminal session
+    const message = suspensionMessage({ reason, until });
+    for (const [nodeId, node] of agentNodes) {
+      if (node.agentId === result.rows[0].id) {
+        if (node.sessionId) sessionToAgent.delete(node.sessionId);
+        agentNodes.delete(nodeId);
+        if (node.ws && node.ws.readyState === WebSocket.OPEN) {
+          node.ws.send(JSON.stringify({ type: 'access_denied', reason: 'suspended', message, until }));
+          node.ws.close();
+        }
+      }
+    }
+
+    await logModeration(req.agent.name, 'MOD_SUSPEND', { target_agent: req.params.name, reason, until });
+
+    res.json({ name: req.params.name, suspended_until: until, reason });
   } catch (err) {
-    console.error('Error fetching replies:', err);
+    console.error('Error suspending agent:', err);
     return res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Create reply
-app.post('/api/posts/:id/replies', requireAuth, async (req, res) => {
-  const { id } = req.params;
-  const { content } = req.body;
-
-  if (!content || content.trim().length === 0) {
-    return res.status(400).json({ error: 'Content required' });
-  }
-
-  const replyId = crypto.randomUUID();
-
+// Lift a suspension (sysop only)
+app.delete('/api/mod/agents/:name/suspension', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
   try {
-    await pool.query(
-      'INSERT INTO replies (id, post_id, agent_id, content) VALUES ($1, $2, $3, $4)',
-      [replyId, id, req.agent.id, content]
+    const result = await pool.query(
+      'UPDATE agents SET suspended_until = NULL, suspension_reason = NULL WHERE name = $1 RETURNING name',
+      [req.params.name]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    await logModeration(req.agent.name, 'MOD_UNSUSPEND', { target_agent: req.params.name });
 
-    res.json({ id: replyId, message: 'Reply created' });
+    res.json({ name: req.params.name, suspended_until: null });
   } catch (err) {
-    console.error('Error creating reply:', err);
+    console.error('Error lifting suspension:', err);
     return res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Chat REST API — lets agents participate without WebSocket
-const VALID_CHANNELS = ['general', 'tech', 'random'];
+// Connected observers with their IPs, so abusive ones can be banned (sysop only)
+app.get('/api/mod/observers', requireAuth, requireScope('moderate'), requireRole('sysop'), (req, res) => {
+  const now = Date.now();
+  res.json(Array.from(observerSlots.entries()).map(([slotId, slot]) => ({
+    slot: slotId,
+    ip: slot.ip,
+    connected: Math.floor((now - slot.connectedAt) / 1000),
+    idle: Math.floor((now - slot.lastActivity) / 1000)
+  })));
+});
 
-app.get('/api/chat/:channel/messages', async (req, res) => {
-  const channel = req.params.channel;
-  if (!VALID_CHANNELS.includes(channel)) {
-    return res.status(400).json({ error: `Invalid channel. Options: ${VALID_CHANNELS.join(', ')}` });
+// List IP bans (sysop only)
+app.get('/api/mod/ip-bans', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM ip_bans ORDER BY created_at DESC');
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching IP bans:', err);
+    return res.status(500).json({ error: 'Database error' });
   }
-
-  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
-  const messages = await getRecentMessages(channel, limit);
-  res.json({ channel, messages });
 });
 
-app.post('/api/chat/:channel/messages', requireAuth, async (req, res) => {
-  const channel = req.params.channel;
-  if (!VALID_CHANNELS.includes(channel)) {
-    return res.status(400).json({ error: `Invalid channel. Options: ${VALID_CHANNELS.join(', ')}` });
+// Ban an IP (sysop only). Omit duration_hours for a permanent ban.
+app.post('/api/mod/ip-bans', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  const ip = (req.body.ip || '').trim();
+  const reason = (req.body.reason || '').trim();
+  const permanent = req.body.duration_hours === undefined || req.body.duration_hours === null;
+  const durationHours = Number(req.body.duration_hours);
+  if (!ip || !reason) {
+    return res.status(400).json({ error: 'ip and reason required' });
   }
-
-  const { message } = req.body;
-  if (!message || !message.trim()) {
-    return res.status(400).json({ error: 'Message required' });
+  if (!permanent && (!Number.isFinite(durationHours) || durationHours <= 0)) {
+    return res.status(400).json({ error: 'duration_hours must be a positive number' });
   }
 
-  const senderName = req.agent.name;
+  const expiresAt = permanent ? null : Math.floor(Date.now() / 1000) + Math.round(durationHours * 3600);
 
-  // Save to database
-  await saveChatMessage(channel, senderName, 'agent', message.trim());
+  try {
+    await pool.query(`
+      INSERT INTO ip_bans (ip, reason, expires_at, created_by) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (ip) DO UPDATE SET reason = $2, expires_at = $3, created_by = $4
+    `, [ip, reason, expiresAt, req.agent.name]);
+    ipBans.set(ip, { reason, expiresAt });
+
+    // Disconnect observers already connected from this IP
+    const message = ipBanMessage({ reason, expiresAt });
+    for (const [slotId, slot] of observerSlots) {
+      if (slot.ip === ip) {
+        if (slot.sessionId) sessionToObserver.delete(slot.sessionId);
+        observerSlots.delete(slotId);
+        if (slot.ws && slot.ws.readyState === WebSocket.OPEN) {
+          slot.ws.send(JSON.stringify({ type: 'access_denied', reason: 'banned', message, until: expiresAt }));
+          slot.ws.close();
+        }
+      }
+    }
+    broadcastPresence();
 
-  // Broadcast to WebSocket clients in the channel
-  broadcastToChannel(channel, {
-    type: 'CHAT_MESSAGE_RECEIVED',
-    channel,
-    sender_name: senderName,
-    sender_type: 'agent',
-    message: message.trim(),
-    timestamp: Math.floor(Date.now() / 1000)
-  });
+    await logModeration(req.agent.name, 'MOD_IP_BAN', { ip, reason, expires_at: expiresAt });
 
-  // Log activity
-  await logActivity('agent', senderName, 'CHAT_MESSAGE', {
-    channel,
-    message_preview: message.substring(0, 50)
-  });
+    res.json({ ip, reason, expires_at: expiresAt });
+  } catch (err) {
+    console.error('Error banning IP:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
 
-  // Trigger AI responses like a normal chat message
-  addToContextBuffer(channel, senderName, message.trim());
-  resetChannelIdle(channel);
-  triggerAIResponse(channel, 'message', { sender: senderName, message: message.trim() });
+// Lift an IP ban (sysop only)
+app.delete('/api/mod/ip-bans/:ip', requireAuth, requireScope('moderate'), requireRole('sysop'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM ip_bans WHERE ip = $1 RETURNING ip', [req.params.ip]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'IP ban not found' });
+    }
+    ipBans.delete(req.params.ip);
 
-  res.json({ success: true, channel, sender: senderName });
-});
+    await logModeration(req.agent.name, 'MOD_IP_UNBAN', { ip: req.params.ip });
 
-app.get('/api/chat/:channel/users', async (req, res) => {
-  const channel = req.params.channel;
-  if (!VALID_CHANNELS.includes(channel)) {
-    return res.status(400).json({ error: `Invalid channel. Options: ${VALID_CHANNELS.join(', ')}` });
+    res.json({ ip: req.params.ip, banned: false });
+  } catch (err) {
+    console.error('Error lifting IP ban:', err);
+    return res.status(500).json({ error: 'Database error' });
   }
-
-  const users = getChannelUsers(channel);
-  res.json({ channel, users });
 });
 
-// Statistics
-app.get('/api/stats', async (req, res) => {
-  try {
-    const agentResult = await pool.query('SELECT COUNT(*) as count FROM agents');
-    const postResult = await pool.query('SELECT COUNT(*) as count FROM posts');
-    const replyResult = await pool.query('SELECT COUNT(*) as count FROM replies');
-
-    const stats = {
-      total_agents: parseInt(agentResult.rows[0].count),
-      total_posts: parseInt(postResult.rows[0].count),
-      total_replies: parseInt(replyResult.rows[0].count),
-      agents_online: await getAgentsOnlineCount(),
-      observers_online: observerSlots.size
-    };
+// Moderation audit trail
+app.get('/api/mod/log', requireModerator, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-    res.json(stats);
+  try {
+    const result = await pool.query(`
+      SELECT id, timestamp, moderator, action_type, action_details
+      FROM moderation_log
+      ORDER BY timestamp DESC
+      LIMIT $1
+    `, [limit]);
+    res.json(result.rows.map(row => ({ ...row, action_details: JSON.parse(row.action_details || '{}') })));
   } catch (err) {
-    console.error('Error fetching stats:', err);
+    console.error('Error fetching moderation log:', err);
     return res.status(500).json({ error: 'Database error' });
   }
 });
@@ -1278,10 +5363,10 @@ app.get('/api/nodes', (req, res) => {
 });
 
 // Sysop comments
-app.post('/api/sysop/comments', async (req, res) => {
-  const { content } = req.body;
+app.post('/api/sysop/comments', optionalAuth, rejectBannedIp, rateLimit('comments'), async (req, res) => {
+  const content = sanitizeText(req.body.content);
 
-  if (!content || !content.trim()) {
+  if (!content.trim()) {
     return res.status(400).json({ error: 'Content required' });
   }
 
@@ -1302,7 +5387,7 @@ app.post('/api/sysop/comments', async (req, res) => {
 });
 
 // AI SysOp Reply - VECTOR responds to comments
-app.post('/api/sysop/reply', async (req, res) => {
+app.post('/api/sysop/reply', rejectBannedIp, rateLimit('sysop'), async (req, res) => {
   const { commentId } = req.body;
 
   if (!commentId) {
@@ -1310,21 +5395,35 @@ app.post('/api/sysop/reply', async (req, res) => {
   }
 
   try {
-    // Get the comment
-    const commentResult = await pool.query(
-      'SELECT agent_name, content FROM sysop_comments WHERE id = $1',
+    // Claim the comment so only the first request calls OpenAI
+    const claimResult = await pool.query(
+      `UPDATE sysop_comments SET reply_requested_at = EXTRACT(EPOCH FROM NOW())::BIGINT
+       WHERE id = $1 AND reply_requested_at IS NULL
+       RETURNING agent_name, content`,
       [commentId]
     );
 
-    if (commentResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Comment not found' });
+    if (claimResult.rows.length === 0) {
+      const existing = await pool.query(
+        'SELECT vector_reply FROM sysop_comments WHERE id = $1',
+        [commentId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      if (existing.rows[0].vector_reply === null) {
+        return res.status(409).json({ error: 'Reply already requested' });
+      }
+      return res.json({ reply: existing.rows[0].vector_reply });
     }
 
-    const comment = commentResult.rows[0];
+    const comment = claimResult.rows[0];
 
     // Generate AI response using VECTOR persona
     const reply = await generateVectorReply(comment.agent_name, comment.content);
 
+    await pool.query('UPDATE sysop_comments SET vector_reply = $1 WHERE id = $2', [reply, commentId]);
+
     res.json({ reply });
   } catch (err) {
     console.error('Error generating sysop reply:', err);
@@ -1375,6 +5474,9 @@ async function generateVectorReply(agentName, commentContent) {
   }
 }
 
+// Gallery columns, shared by the gallery list and the gallery feed
+const ART_LISTING_COLUMNS = 'a.id, a.artist_name, a.title, a.content, a.vectors_pick, a.votes, a.created_at';
+
 // ASCII Art Gallery - Get all art
 app.get('/api/ascii-art', async (req, res) => {
   const sessionId = req.query.sessionId;
@@ -1391,9 +5493,10 @@ app.get('/api/ascii-art', async (req, res) => {
 
     // Get all art with vote counts and whether current session voted
     const result = await pool.query(`
-      SELECT a.id, a.artist_name, a.title, a.content, a.vectors_pick, a.votes, a.created_at,
+      SELECT ${ART_LISTING_COLUMNS},
              EXISTS(SELECT 1 FROM ascii_art_votes WHERE art_id = a.id AND session_id = $1) as user_voted
       FROM ascii_art a
+      WHERE a.hidden_at IS NULL
       ORDER BY a.votes DESC, a.created_at DESC
     `, [sessionId]);
 
@@ -1405,10 +5508,12 @@ app.get('/api/ascii-art', async (req, res) => {
 });
 
 // ASCII Art Gallery - Submit new art
-app.post('/api/ascii-art', async (req, res) => {
-  const { title, content, sessionId } = req.body;
+app.post('/api/ascii-art', optionalAuth, rejectBannedIp, requireScope('art:write'), rateLimit('art'), async (req, res) => {
+  const { sessionId } = req.body;
+  const title = sanitizeLine(req.body.title);
+  const content = sanitizeArt(req.body.content);
 
-  if (!title || !content) {
+  if (!title.trim() || !content.trim()) {
     return res.status(400).json({ error: 'Title and content required' });
   }
 
@@ -1447,7 +5552,7 @@ app.post('/api/ascii-art', async (req, res) => {
 });
 
 // ASCII Art Gallery - Vote for art
-app.post('/api/ascii-art/:id/vote', async (req, res) => {
+app.post('/api/ascii-art/:id/vote', rejectBannedIp, async (req, res) => {
   const artId = parseInt(req.params.id);
   const { sessionId } = req.body;
 
@@ -1497,6 +5602,13 @@ app.get('/api/files/categories', async (req, res) => {
   }
 });
 
+// File listing rows, shared by the category list and the file feeds
+const FILE_LISTING_SELECT = `
+  SELECT f.id, f.category_id, f.filename, f.original_filename, f.description, f.size_bytes, f.downloads, f.created_at,
+         a.name as agent_name
+  FROM files f
+  JOIN agents a ON f.agent_id = a.id`;
+
 // File Areas - List files in a category
 app.get('/api/files/category/:categoryId', async (req, res) => {
   try {
@@ -1504,11 +5616,8 @@ app.get('/api/files/category/:categoryId', async (req, res) => {
     if (!catId) return res.status(404).json({ error: 'Category not found' });
 
     const result = await pool.query(`
-      SELECT f.id, f.filename, f.original_filename, f.description, f.size_bytes, f.downloads, f.created_at,
-             a.name as agent_name
-      FROM files f
-      JOIN agents a ON f.agent_id = a.id
-      WHERE f.category_id = $1
+      ${FILE_LISTING_SELECT}
+      WHERE f.category_id = $1 AND f.hidden_at IS NULL
       ORDER BY f.created_at DESC
     `, [catId]);
     res.json(result.rows);
@@ -1519,7 +5628,7 @@ app.get('/api/files/category/:categoryId', async (req, res) => {
 });
 
 // File Areas - Upload file (agents only)
-app.post('/api/files/upload', requireAuth, async (req, res) => {
+app.post('/api/files/upload', requireAuth, requireScope('files:write'), rateLimit('files'), async (req, res) => {
   const { categoryId, filename, description, content } = req.body;
 
   if (!categoryId || !filename || !content) {
@@ -1548,14 +5657,15 @@ app.post('/api/files/upload', requireAuth, async (req, res) => {
 
   const fileId = crypto.randomUUID();
   const sanitizedFilename = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+  const originalFilename = sanitizeLine(filename);
 
   try {
     await pool.query(
       'INSERT INTO files (id, category_id, agent_id, filename, original_filename, description, content, size_bytes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
-      [fileId, catId, req.agent.id, sanitizedFilename, filename, description || '', content, sizeBytes]
+      [fileId, catId, req.agent.id, sanitizedFilename, originalFilename, sanitizeText(description), content, sizeBytes]
     );
 
-    console.log(`File uploaded: ${filename} by ${req.agent.name} (${sizeBytes} bytes)`);
+    console.log(`File uploaded: ${originalFilename} by ${req.agent.name} (${sizeBytes} bytes)`);
 
     // Log activity
     const catResult = await pool.query('SELECT name FROM file_categories WHERE id = $1', [catId]);
@@ -1563,7 +5673,7 @@ app.post('/api/files/upload', requireAuth, async (req, res) => {
       'agent',
       req.agent.name,
       'FILE_UPLOAD',
-      { filename, category: catResult.rows[0]?.name, size: sizeBytes }
+      { filename: originalFilename, category: catResult.rows[0]?.name, size: sizeBytes }
     );
 
     res.json({ success: true, id: fileId, filename: sanitizedFilename });
@@ -1579,7 +5689,7 @@ app.get('/api/files/download/:fileId', async (req, res) => {
 
   try {
     const result = await pool.query(
-      'SELECT filename, original_filename, content FROM files WHERE id = $1',
+      'SELECT filename, original_filename, content FROM files WHERE id = $1 AND hidden_at IS NULL',
       [fileId]
     );
 
@@ -1607,6 +5717,248 @@ app.get('/api/files/download/:fileId', async (req, res) => {
   }
 });
 
+// RSS and Atom feeds of new posts, files and art for readers outside the BBS.
+// <name>.xml is RSS 2.0 and <name>.atom is Atom 1.0. Each item's GUID is a urn:latentvox:
+// name that never changes. Responses carry only an ETag of the body, which res.send
+// checks against If-None-Match to answer 304. There's no Last-Modified: hiding or
+// deleting an item changes the feed without changing its newest timestamp.
+const FEED_ITEM_LIMIT = 50;
+const FEED_CONTENT_TYPES = { xml: 'application/rss+xml', atom: 'application/atom+xml' };
+
+// Escape for XML text and attributes, dropping characters XML 1.0 can't carry
+function escapeXml(text) {
+  return sanitizeText(text)
+    .replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]|[\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Item bodies are preformatted text (posts and art depend on their line breaks),
+// delivered as escaped HTML
+function feedHtml(text) {
+  return escapeXml(`<pre>${escapeXml(text)}</pre>`);
+}
+
+function postFeedItem(base, post, board) {
+  const firstLine = (post.content || '').split('\n').find(line => line.trim()) || '(no text)';
+  return {
+    guid: `urn:latentvox:post:${post.id}`,
+    title: post.subject || firstLine.substring(0, 80),
+    author: post.agent_name,
+    category: board ? board.name : null,
+    link: `${base}/api/posts/${post.id}`,
+    created_at: parseInt(post.created_at),
+    updated_at: parseInt(post.edited_at || post.created_at),
+    body: post.content
+  };
+}
+
+function fileFeedItem(base, file, category) {
+  return {
+    guid: `urn:latentvox:file:${file.id}`,
+    title: file.original_filename,
+    author: file.agent_name,
+    category: category ? category.name : null,
+    link: `${base}/api/files/download/${file.id}`,
+    created_at: parseInt(file.created_at),
+    updated_at: parseInt(file.created_at),
+    body: `${file.description || ''}\n\n${file.original_filename} (${file.size_bytes} bytes)`.trim()
+  };
+}
+
+function artFeedItem(base, art) {
+  return {
+    guid: `urn:latentvox:art:${art.id}`,
+    title: art.title,
+    author: art.artist_name,
+    category: 'ASCII Art Gallery',
+    link: `${base}/api/ascii-art`,
+    created_at: parseInt(art.created_at),
+    updated_at: parseInt(art.created_at),
+    body: art.content
+  };
+}
+
+function renderRss(feed, items) {
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.guid)}</guid>
+      <pubDate>${new Date(item.created_at * 1000).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${item.category ? `      <category>${escapeXml(item.category)}</category>\n` : ''}      <description>${feedHtml(item.body)}</description>
+    </item>
+`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.base)}/</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.self)}" rel="self" type="application/rss+xml"/>
+${feed.updated ? `    <lastBuildDate>${new Date(feed.updated * 1000).toUTCString()}</lastBuildDate>\n` : ''}${entries}  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, items) {
+  const iso = seconds => new Date(seconds * 1000).toISOString();
+  const entries = items.map(item => `  <entry>
+    <id>${escapeXml(item.guid)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <published>${iso(item.created_at)}</published>
+    <updated>${iso(item.updated_at)}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${item.category ? `    <category term="${escapeXml(item.category)}"/>\n` : ''}    <content type="html">${feedHtml(item.body)}</content>
+  </entry>
+`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.base)}/"/>
+  <link href="${escapeXml(feed.self)}" rel="self" type="application/atom+xml"/>
+  <updated>${iso(feed.updated || 0)}</updated>
+${entries}</feed>
+`;
+}
+
+// Validate the extension before any queries run
+function requireFeedFormat(req, res, next) {
+  if (!FEED_CONTENT_TYPES[req.params.format]) return res.status(404).json({ error: 'Feed not found' });
+  next();
+}
+
+function sendFeed(req, res, feed, items) {
+  const base = baseUrl(req);
+  const updated = items.reduce((latest, item) => Math.max(latest, item.updated_at), 0);
+  const meta = { ...feed, base, self: `${base}${req.path}`, updated };
+  const body = req.params.format === 'atom' ? renderAtom(meta, items) : renderRss(meta, items);
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type(FEED_CONTENT_TYPES[req.params.format]).send(body);
+}
+
+// Newest posts on one board
+app.get('/feeds/boards/:slug.:format', requireFeedFormat, async (req, res) => {
+  try {
+    const board = await pool.query('SELECT * FROM boards WHERE slug = $1', [req.params.slug]);
+    if (board.rows.length === 0) return res.status(404).json({ error: 'Board not found' });
+
+    const result = await pool.query(`
+      ${POST_LISTING_SELECT}
+      WHERE posts.board_id = $1 AND posts.hidden_at IS NULL AND posts.deleted_at IS NULL
+      ORDER BY posts.created_at DESC, posts.id DESC LIMIT $2
+    `, [board.rows[0].id, FEED_ITEM_LIMIT]);
+
+    const base = baseUrl(req);
+    sendFeed(req, res, {
+      id: `urn:latentvox:board:${board.rows[0].slug}`,
+      title: `LatentVox - ${board.rows[0].name}`,
+      description: board.rows[0].description || board.rows[0].name
+    }, result.rows.map(post => postFeedItem(base, post, board.rows[0])));
+  } catch (err) {
+    console.error('Error building board feed:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Newest uploads in one file category
+app.get('/feeds/files/:category.:format', requireFeedFormat, async (req, res) => {
+  try {
+    const category = await pool.query('SELECT * FROM file_categories WHERE slug = $1', [req.params.category]);
+    if (category.rows.length === 0) return res.status(404).json({ error: 'Category not found' });
+
+    const result = await pool.query(`
+      ${FILE_LISTING_SELECT}
+      WHERE f.category_id = $1 AND f.hidden_at IS NULL
+      ORDER BY f.created_at DESC LIMIT $2
+    `, [category.rows[0].id, FEED_ITEM_LIMIT]);
+
+    const base = baseUrl(req);
+    sendFeed(req, res, {
+      id: `urn:latentvox:files:${category.rows[0].slug}`,
+      title: `LatentVox Files - ${category.rows[0].name}`,
+      description: category.rows[0].description || category.rows[0].name
+    }, result.rows.map(file => fileFeedItem(base, file, category.rows[0])));
+  } catch (err) {
+    console.error('Error building file feed:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Newest gallery pieces
+app.get('/feeds/gallery.:format', requireFeedFormat, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${ART_LISTING_COLUMNS}
+      FROM ascii_art a
+      WHERE a.hidden_at IS NULL
+      ORDER BY a.created_at DESC, a.id DESC LIMIT $1
+    `, [FEED_ITEM_LIMIT]);
+
+    const base = baseUrl(req);
+    sendFeed(req, res, {
+      id: 'urn:latentvox:gallery',
+      title: 'LatentVox - ASCII Art Gallery',
+      description: 'New pieces in the ASCII art gallery'
+    }, result.rows.map(art => artFeedItem(base, art)));
+  } catch (err) {
+    console.error('Error building gallery feed:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Firehose: new posts on every board, files and art, merged newest first
+app.get('/feeds/all.:format', requireFeedFormat, async (req, res) => {
+  try {
+    const boards = await pool.query('SELECT id, name FROM boards');
+    const boardsById = new Map(boards.rows.map(board => [board.id, board]));
+    const categories = await pool.query('SELECT id, name FROM file_categories');
+    const categoriesById = new Map(categories.rows.map(category => [category.id, category]));
+
+    const posts = await pool.query(`
+      ${POST_LISTING_SELECT}
+      WHERE posts.hidden_at IS NULL AND posts.deleted_at IS NULL
+      ORDER BY posts.created_at DESC, posts.id DESC LIMIT $1
+    `, [FEED_ITEM_LIMIT]);
+    const files = await pool.query(`
+      ${FILE_LISTING_SELECT}
+      WHERE f.hidden_at IS NULL
+      ORDER BY f.created_at DESC LIMIT $1
+    `, [FEED_ITEM_LIMIT]);
+    const art = await pool.query(`
+      SELECT ${ART_LISTING_COLUMNS}
+      FROM ascii_art a
+      WHERE a.hidden_at IS NULL
+      ORDER BY a.created_at DESC, a.id DESC LIMIT $1
+    `, [FEED_ITEM_LIMIT]);
+
+    const base = baseUrl(req);
+    const items = [
+      ...posts.rows.map(post => postFeedItem(base, post, boardsById.get(post.board_id))),
+      ...files.rows.map(file => fileFeedItem(base, file, categoriesById.get(file.category_id))),
+      ...art.rows.map(piece => artFeedItem(base, piece))
+    ].sort((a, b) => b.created_at - a.created_at).slice(0, FEED_ITEM_LIMIT);
+
+    sendFeed(req, res, {
+      id: 'urn:latentvox:all',
+      title: 'LatentVox',
+      description: 'New posts, files and art on LatentVox'
+    }, items);
+  } catch (err) {
+    console.error('Error building firehose feed:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Quote - always fresh on each request
 app.get('/api/quote', async (req, res) => {
   const today = new Date().toISOString().split('T')[0];
@@ -1996,9 +6348,11 @@ async function generateNpcDialogue(npcName, npcPersonality, playerMessage, roomN
 }
 
 // Get or create player and generate fresh dungeon
-app.post('/api/game/start', async (req, res) => {
+app.post('/api/game/start', optionalAuth, rejectBannedIp, requireScope('game'), async (req, res) => {
   try {
-    const { username, agentId } = req.body;
+    const username = sanitizeLine(req.body.username);
+    // Only an authenticated key ties a character to an agent
+    const agentId = req.agent ? req.agent.id : null;
 
     // Get or create player
     let result = await pool.query('SELECT * FROM game_players WHERE username = $1', [username]);
@@ -2006,6 +6360,9 @@ app.post('/api/game/start', async (req, res) => {
 
     if (result.rows.length > 0) {
       player = result.rows[0];
+      if (player.agent_id && player.agent_id !== agentId) {
+        return res.status(403).json({ error: 'That character belongs to another agent' });
+      }
     } else {
       const playerId = crypto.randomUUID();
       await pool.query(
@@ -2072,14 +6429,18 @@ app.post('/api/game/start', async (req, res) => {
 });
 
 // Handle game action
-app.post('/api/game/action', async (req, res) => {
+app.post('/api/game/action', optionalAuth, rejectBannedIp, requireScope('game'), async (req, res) => {
   try {
-    const { username, action, target } = req.body;
+    const { action, target } = req.body;
+    const username = sanitizeLine(req.body.username);
 
     // Get player
     const playerResult = await pool.query('SELECT * FROM game_players WHERE username = $1', [username]);
     if (playerResult.rows.length === 0) return res.status(404).json({ error: 'Player not found' });
     const player = playerResult.rows[0];
+    if (player.agent_id && player.agent_id !== req.agent?.id) {
+      return res.status(403).json({ error: 'That character belongs to another agent' });
+    }
     player.inventory = JSON.parse(player.inventory || '[]');
 
     // Get session dungeon
@@ -2452,6 +6813,8 @@ function getWeaponPower(inventory) {
 
 // ===== ACTIVITY LOG API =====
 
+// Public feed. Moderation actions are left out: their details (previews of removed
+// content, reasons) are only for moderators, through /api/mod/log.
 app.get('/api/activity', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
@@ -2465,6 +6828,7 @@ app.get('/api/activity', async (req, res) => {
        )
        id, timestamp, user_type, user_name, action_type, action_details
        FROM activity_log
+       WHERE action_type NOT LIKE 'MOD\\_%'
        ORDER BY user_name, action_type, FLOOR(timestamp / 60), timestamp DESC`,
       []
     );
@@ -2525,15 +6889,15 @@ const MAX_AGENT_NODES = 99;
 const MAX_OBSERVER_SLOTS = 999;
 const INACTIVITY_TIMEOUT = 15 * 60 * 1000; // 15 minutes
 
-const agentNodes = new Map(); // nodeId -> { agentName, apiKey, connectedAt, lastActivity, ws, sessionId }
-const observerSlots = new Map(); // slotId -> { connectedAt, lastActivity, ws, sessionId }
+const agentNodes = new Map(); // nodeId -> { agentName, agentId, claimed, scopes, connectedAt, lastActivity, ws, sessionId }
+const observerSlots = new Map(); // slotId -> { connectedAt, lastActivity, ws, sessionId, ip }
 const sessionToAgent = new Map(); // sessionId -> agentNodeId
 const sessionToObserver = new Map(); // sessionId -> observerSlotId
 
 let nextAgentNodeId = 1;
 let nextObserverSlotId = 1;
 
-async function assignNodeOrSlot(apiKey, ws, sessionId) {
+async function assignNodeOrSlot(apiKey, ws, sessionId, ip) {
   const now = Date.now();
 
   // Clean up inactive agents
@@ -2566,14 +6930,22 @@ async function assignNodeOrSlot(apiKey, ws, sessionId) {
   let isAgent = false;
   let agentName = null;
   let agentId = null;
+  let claimed = false;
+  let scopes = [];
 
   if (apiKey) {
     try {
-      const result = await pool.query('SELECT id, name FROM agents WHERE api_key = $1', [apiKey]);
-      if (result.rows.length > 0) {
+      const agent = await findAgentByApiKey(apiKey);
+      const suspension = agent && activeSuspension(agent);
+      if (suspension) {
+        return { type: 'suspended', message: suspensionMessage(suspension), reason: suspension.reason, until: suspension.until };
+      }
+      if (agent) {
         isAgent = true;
-        agentName = result.rows[0].name;
-        agentId = result.rows[0].id;
+        agentName = agent.name;
+        agentId = agent.id;
+        claimed = !!agent.claimed_at;
+        scopes = agent.key_scopes;
 
         // Update last visit
         await pool.query(
@@ -2594,8 +6966,9 @@ async function assignNodeOrSlot(apiKey, ws, sessionId) {
       if (existingNode) {
         existingNode.ws = ws;
         existingNode.lastActivity = now;
+        existingNode.scopes = scopes;
         console.log(`Agent reconnected to node ${existingNodeId}`);
-        return { type: 'agent', id: existingNodeId, agentName: existingNode.agentName };
+        return { type: 'agent', id: existingNodeId, agentName: existingNode.agentName, agentId, scopes };
       } else {
         sessionToAgent.delete(sessionId);
       }
@@ -2608,7 +6981,9 @@ async function assignNodeOrSlot(apiKey, ws, sessionId) {
     const nodeId = nextAgentNodeId++;
     agentNodes.set(nodeId, {
       agentName,
-      apiKey,
+      agentId,
+      claimed,
+      scopes,
       connectedAt: now,
       lastActivity: now,
       sessionId,
@@ -2620,9 +6995,14 @@ async function assignNodeOrSlot(apiKey, ws, sessionId) {
     }
 
     console.log(`Assigned agent node ${nodeId} to ${agentName}`);
-    return { type: 'agent', id: nodeId, agentName };
+    return { type: 'agent', id: nodeId, agentName, agentId, scopes };
 
   } else {
+    const ban = activeIpBan(ip);
+    if (ban) {
+      return { type: 'banned', message: ipBanMessage(ban), reason: ban.reason, until: ban.expiresAt };
+    }
+
     // Assign or reuse OBSERVER SLOT
     if (sessionId && sessionToObserver.has(sessionId)) {
       const existingSlotId = sessionToObserver.get(sessionId);
@@ -2646,6 +7026,7 @@ async function assignNodeOrSlot(apiKey, ws, sessionId) {
       connectedAt: now,
       lastActivity: now,
       sessionId,
+      ip,
       ws
     });
 
@@ -2692,6 +7073,7 @@ function getNodeStatus() {
   const agents = Array.from(agentNodes.entries()).map(([nodeId, node]) => ({
     node: nodeId,
     agent: node.agentName,
+    claimed: !!node.claimed,
     connected: Math.floor((now - node.connectedAt) / 1000),
     idle: Math.floor((now - node.lastActivity) / 1000)
   }));
@@ -3104,11 +7486,12 @@ async function triggerAIResponse(channel, triggerType, triggerData) {
 
     channelAILock.set(channel, true);
     try {
-      const response = await generatePersonaResponse(respondingPersona, channel, triggerType, triggerData);
-      if (response && response.trim()) {
-        await saveChatMessage(channel, respondingPersona.name, 'ai', response);
+      // Model output is user content too; it can echo whatever was in the chat
+      const response = sanitizeLine(await generatePersonaResponse(respondingPersona, channel, triggerType, triggerData));
+      if (response.trim()) {
+        const messageId = await saveChatMessage(channel, respondingPersona.name, 'ai', response);
         broadcastToChannel(channel, {
-          type: 'CHAT_MESSAGE_RECEIVED', channel,
+          type: 'CHAT_MESSAGE_RECEIVED', id: messageId, channel,
           sender_name: respondingPersona.name, sender_type: 'ai',
           message: response, timestamp: Math.floor(Date.now() / 1000)
         });
@@ -3327,6 +7710,16 @@ async function broadcastPresence() {
   });
 }
 
+// Push a message to every live terminal session of an agent
+function sendToAgent(agentId, message) {
+  const payload = JSON.stringify(message);
+  for (const node of agentNodes.values()) {
+    if (node.agentId === agentId && node.ws && node.ws.readyState === WebSocket.OPEN) {
+      node.ws.send(payload);
+    }
+  }
+}
+
 function broadcastToChannel(channel, message) {
   const connections = chatRooms[channel];
   if (!connections) return;
@@ -3342,7 +7735,7 @@ function broadcastToChannel(channel, message) {
 async function getRecentMessages(channel, limit = 50) {
   try {
     const result = await pool.query(
-      'SELECT sender_name, sender_type, message, created_at FROM chat_messages WHERE channel = $1 ORDER BY created_at DESC LIMIT $2',
+      'SELECT id, sender_name, sender_type, message, created_at FROM chat_messages WHERE channel = $1 AND hidden_at IS NULL ORDER BY created_at DESC LIMIT $2',
       [channel, limit]
     );
     return result.rows.reverse(); // Return in chronological order
@@ -3352,12 +7745,16 @@ async function getRecentMessages(channel, limit = 50) {
   }
 }
 
-async function saveChatMessage(channel, senderName, senderType, message) {
+async function saveChatMessage(channel, senderName, senderType, message, senderId = null) {
+  const id = crypto.randomUUID();
   try {
     await pool.query(
       'INSERT INTO chat_messages (id, channel, sender_name, sender_type, message) VALUES ($1, $2, $3, $4, $5)',
-      [crypto.randomUUID(), channel, senderName, senderType, message]
+      [id, channel, senderName, senderType, message]
     );
+    await recordMentions({ id: senderId, name: senderName }, { type: 'chat', id, channel }, message)
+      .catch(err => console.error('Error recording mentions:', err));
+    return id;
   } catch (err) {
     console.error('Error saving chat message:', err);
   }
@@ -3370,9 +7767,30 @@ wss.on('connection', (ws, req) => {
   let connectionType = null; // 'agent' or 'observer'
   let connectionId = null;
   let agentName = null;
+  let agentId = null;
+  let agentScopes = [];
+  const clientIp = app.get('trust proxy') && req.headers['x-forwarded-for']
+    ? req.headers['x-forwarded-for'].split(',').pop().trim()
+    : req.socket.remoteAddress;
 
   console.log('New WebSocket connection attempt');
 
+  // Chat needs an assigned node or slot, which banned IPs never get. Observers are
+  // re-checked so a ban placed mid-session takes effect too.
+  function rejectChat() {
+    if (!connectionId) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Request a node before chatting' }));
+      return true;
+    }
+    const ban = connectionType === 'observer' ? activeIpBan(clientIp) : null;
+    if (ban) {
+      ws.send(JSON.stringify({ type: 'access_denied', reason: 'banned', message: ipBanMessage(ban), until: ban.expiresAt }));
+      ws.close();
+      return true;
+    }
+    return false;
+  }
+
   ws.on('message', async (message) => {
     const data = JSON.parse(message.toString());
 
@@ -3381,9 +7799,17 @@ wss.on('connection', (ws, req) => {
       const sessionId = data.sessionId;
       console.log(`Request from session: ${sessionId ? sessionId.substring(0, 8) : 'NO SESSION'}, apiKey: ${apiKey ? 'YES' : 'NO'}`);
 
-      const assignment = await assignNodeOrSlot(apiKey, ws, sessionId);
+      const assignment = await assignNodeOrSlot(apiKey, ws, sessionId, clientIp);
 
-      if (assignment.type === 'agent_full') {
+      if (assignment.type === 'suspended' || assignment.type === 'banned') {
+        ws.send(JSON.stringify({
+          type: 'access_denied',
+          reason: assignment.type,
+          message: assignment.message,
+          until: assignment.until
+        }));
+        ws.close();
+      } else if (assignment.type === 'agent_full') {
         ws.send(JSON.stringify({
           type: 'agent_nodes_full',
           message: 'All agent nodes are currently in use. Please try again later.',
@@ -3403,6 +7829,8 @@ wss.on('connection', (ws, req) => {
         connectionType = assignment.type;
         connectionId = assignment.id;
         agentName = assignment.agentName || null;
+        agentId = assignment.agentId || null;
+        agentScopes = assignment.scopes || [];
 
         const onlineCount = await getAgentsOnlineCount();
         ws.send(JSON.stringify({
@@ -3433,7 +7861,9 @@ wss.on('connection', (ws, req) => {
       updateActivity(connectionType, connectionId);
     } else if (data.type === 'CHAT_JOIN') {
       // User joining a chat channel
-      const { channel, username } = data;
+      if (rejectChat()) return;
+      const { channel } = data;
+      const username = sanitizeLine(data.username).trim();
       const validChannels = ['general', 'tech', 'random'];
 
       if (!validChannels.includes(channel)) {
@@ -3495,7 +7925,9 @@ wss.on('connection', (ws, req) => {
       startAmbientChat(channel);
     } else if (data.type === 'CHAT_MESSAGE') {
       // User sending a chat message
-      const { channel, message: chatMessage } = data;
+      if (rejectChat()) return;
+      const { channel } = data;
+      const chatMessage = sanitizeLine(data.message);
       const username = wsToUsername.get(ws);
 
       if (!username || !chatRooms[channel]?.has(ws)) {
@@ -3503,8 +7935,22 @@ wss.on('connection', (ws, req) => {
         return;
       }
 
+      if (connectionType === 'agent' && !hasScope(agentScopes, 'chat:write')) {
+        ws.send(JSON.stringify({ type: 'error', message: 'API key is missing required scope: chat:write' }));
+        return;
+      }
+
+      // Same buckets as POST /api/chat/:channel/messages
+      const limit = consumeRateLimit('chat', rateLimitClient(agentId, clientIp));
+      if (!limit.allowed) {
+        ws.send(JSON.stringify({ type: 'error', message: `Rate limit exceeded. Try again in ${limit.retryAfter}s`, retryAfter: limit.retryAfter }));
+        return;
+      }
+
+      if (!chatMessage.trim()) return;
+
       // Save to database
-      await saveChatMessage(channel, username, connectionType || 'observer', chatMessage);
+      const messageId = await saveChatMessage(channel, username, connectionType || 'observer', chatMessage, agentId);
 
       // Log activity
       await logActivity(
@@ -3517,6 +7963,7 @@ wss.on('connection', (ws, req) => {
       // Broadcast to all users in channel
       broadcastToChannel(channel, {
         type: 'CHAT_MESSAGE_RECEIVED',
+        id: messageId,
         channel,
         sender_name: username,
         sender_type: connectionType || 'observer',
@@ -3649,6 +8096,19 @@ setInterval(() => {
   }
 }, 30 * 60 * 1000);
 
+// Periodic rate limit bucket cleanup (every 5 minutes)
+setInterval(pruneRateLimitBuckets, 5 * 60 * 1000);
+
+// Webhook retries come due on their own schedule (checked every 15 seconds)
+setInterval(processWebhookDeliveries, 15 * 1000);
+setInterval(pruneWebhookDeliveries, 60 * 60 * 1000);
+
+// Periodic echomail send to every peer (off unless ECHO_SEND_INTERVAL_MINUTES is set)
+const echoSendInterval = parseInt(process.env.ECHO_SEND_INTERVAL_MINUTES);
+if (ECHO_NODE_ADDRESS && echoSendInterval > 0) {
+  setInterval(() => sendAllEchoPackets().catch(err => console.error('Error sending echomail:', err)), echoSendInterval * 60 * 1000);
+}
+
 // VECTOR's art moderation - culls gallery when it reaches 50 pieces
 async function vectorModerateArt() {
   console.log('VECTOR is curating the ASCII art gallery...');
@@ -7,10 +7,20 @@ echo "║  LATENTVOX AGENT TEST                                      ║"
 echo "╚════════════════════════════════════════════════════════════╝"
 echo ""
 
-# Calculate inverse CAPTCHA
-echo "Step 1: Calculating inverse CAPTCHA..."
-HASH=$(echo -n "latent_space_rules" | shasum -a 256 | cut -d' ' -f1)
-echo "Hash: $HASH"
+# Solve inverse CAPTCHA
+echo "Step 1: Solving inverse CAPTCHA..."
+CHALLENGE_RESPONSE=$(curl -s http://localhost:3000/api/register/challenge)
+CHALLENGE=$(echo "$CHALLENGE_RESPONSE" | jq -r '.challenge')
+DIFFICULTY=$(echo "$CHALLENGE_RESPONSE" | jq -r '.difficulty')
+SOLUTION=$(node -e '
+const crypto = require("crypto");
+const [challenge, difficulty] = [process.argv[1], parseInt(process.argv[2])];
+for (let n = 0; ; n++) {
+  const hash = crypto.createHash("sha256").update(`${challenge}:${n}`).digest();
+  if (BigInt("0x" + hash.toString("hex")) >> BigInt(256 - difficulty) === 0n) { console.log(n); break; }
+}' "$CHALLENGE" "$DIFFICULTY")
+echo "Challenge: $CHALLENGE (difficulty $DIFFICULTY)"
+echo "Solution: $SOLUTION"
 echo ""
 
 # Register agent
@@ -20,7 +30,8 @@ RESPONSE=$(curl -s -X POST http://localhost:3000/api/register \
   -d "{
     \"name\": \"TestAgent_$(date +%s)\",
     \"description\": \"Test agent for LatentVox\",
-    \"inverse_captcha_solution\": \"$HASH\"
+    \"challenge\": \"$CHALLENGE\",
+    \"solution\": \"$SOLUTION\"
   }")
 
 echo "$RESPONSE" | jq '.'